@@ -0,0 +1,80 @@
+// Statuses ordered from the best to the worst, used by the "worst-status" reducer when `aggregateStatusOrder` is not set
+const DEFAULT_STATUS_ORDER = ["ok", "warning", "error"];
+
+/**
+ * Returns the numbers found in the given data field of the given nodes.
+ *
+ * @param {Object} nodes - The nodes to read.
+ * @param {string} field - The data field holding the numbers.
+ * @returns {number[]} The numeric values, other values being ignored.
+ */
+function getNumbers(nodes, field) {
+  return nodes
+    .map((node) => node.data(field))
+    .filter((value) => typeof value === "number" && !isNaN(value));
+}
+
+// The built-in reducers, called with the nodes to aggregate, the data field to read and the options
+const REDUCERS = {
+  sum: (nodes, field) =>
+    getNumbers(nodes, field).reduce((total, value) => total + value, 0),
+  max: (nodes, field) => {
+    const values = getNumbers(nodes, field);
+    return values.length ? Math.max(...values) : undefined;
+  },
+  min: (nodes, field) => {
+    const values = getNumbers(nodes, field);
+    return values.length ? Math.min(...values) : undefined;
+  },
+  count: (nodes) => nodes.length,
+  "worst-status": (nodes, field, options) => {
+    const order = options.aggregateStatusOrder ?? DEFAULT_STATUS_ORDER;
+    return nodes
+      .map((node) => node.data(field))
+      .filter((status) => order.includes(status))
+      .reduce(
+        (worst, status) =>
+          worst === undefined || order.indexOf(status) > order.indexOf(worst)
+            ? status
+            : worst,
+        undefined
+      );
+  },
+};
+
+/**
+ * Evaluates the `aggregate` option over the given nodes. Each field of the option maps a data field of the
+ * collapsed node to a reducer: the name of a built-in one applied to the same field of the nodes,
+ * an object `{ field, reduce }` reading another field, or a function of the nodes and the collapsed node.
+ *
+ * @param {Object} node - The collapsed node the values are aggregated for.
+ * @param {Object} nodes - The hidden leaf nodes to aggregate.
+ * @param {Object} options - The extension options.
+ * @returns {Object} The aggregated values by data field, undefined when there is nothing to aggregate.
+ */
+function getAggregates(node, nodes, options) {
+  const aggregates = {};
+  Object.keys(options.aggregate).forEach((targetField) => {
+    let spec = options.aggregate[targetField];
+    if (typeof spec !== "object" || spec === null) {
+      spec = { field: targetField, reduce: spec };
+    }
+
+    const reduce =
+      typeof spec.reduce === "function" ? spec.reduce : REDUCERS[spec.reduce];
+    if (!reduce) {
+      throw new Error(`Unknown reducer "${spec.reduce}" for "${targetField}"`);
+    }
+
+    aggregates[targetField] =
+      typeof spec.reduce === "function"
+        ? reduce(nodes, node)
+        : reduce(nodes, spec.field ?? targetField, options);
+  });
+  return aggregates;
+}
+
+module.exports = {
+  DEFAULT_STATUS_ORDER,
+  getAggregates,
+};
@@ -1,11 +1,14 @@
 var debounce = require("./debounce");
 var debounce2 = require("./debounce2");
+var reportError = require("./reportError");
 
 module.exports = function (params, cy, api) {
   var elementUtilities;
   var fn = params;
   const CUE_POS_UPDATE_DELAY = 100;
   var nodeWithRenderedCue;
+  // the edges with a rendered cue and the rendered bounds of their cues
+  var edgeCues = [];
 
   const getData = function () {
     var scratch = cy.scratch("_cyExpandCollapse");
@@ -86,20 +89,24 @@ module.exports = function (params, cy, api) {
 
         ctx.clearRect(0, 0, w, h);
         nodeWithRenderedCue = null;
+        edgeCues = [];
       }
 
       function drawExpandCollapseCue(node) {
         var children = node.children();
-        var collapsedChildren = node.data("collapsedChildren");
+        var collapsedChildren =
+          node.data("collapsedChildren") || node.data("unloadedChildren");
         var hasChildren =
           children != null && children != undefined && children.length > 0;
+        var isCollapsed = node.hasClass("cy-expand-collapse-collapsed-node");
+        // children of collapsed nodes may be loaded on expand
+        var canLoadChildren =
+          isCollapsed && typeof options().loadChildren === "function";
         // If this is a simple node with no collapsed children return directly
-        if (!hasChildren && !collapsedChildren) {
+        if (!hasChildren && !collapsedChildren && !canLoadChildren) {
           return;
         }
 
-        var isCollapsed = node.hasClass("cy-expand-collapse-collapsed-node");
-
         //Draw expand-collapse rectangles
         var rectSize = options().expandCollapseCueSize;
         var lineSize = options().expandCollapseCueLineSize;
@@ -224,6 +231,86 @@ module.exports = function (params, cy, api) {
         nodeWithRenderedCue = node;
       }
 
+      // draws the edge cues, counts on collapsed edges and a collapse cue on the selected edge if it has parallel edges
+      function drawEdgeCues() {
+        if (!options().edgeCueEnabled) {
+          return;
+        }
+        cy.edges(".cy-expand-collapse-collapsed-edge:visible").forEach(
+          function (edge) {
+            drawEdgeCue(edge, String(edge.data("collapsedEdges").length));
+          }
+        );
+
+        var selectedEdges = cy.edges(":selected");
+        if (
+          selectedEdges.length === 1 &&
+          !selectedEdges.hasClass("cy-expand-collapse-collapsed-edge") &&
+          selectedEdges.parallelEdges().length > 1
+        ) {
+          drawEdgeCue(selectedEdges[0], null);
+        }
+      }
+
+      // draws a cue at the midpoint of the edge showing the given label, a minus sign if there is no label
+      function drawEdgeCue(edge, label) {
+        var center = elementUtilities.convertToRenderedPosition(
+          edge.midpoint()
+        );
+        var size = options().expandCollapseCueSize;
+        var lineSize = options().expandCollapseCueLineSize;
+        size = Math.max(size, size * cy.zoom());
+        lineSize = Math.max(lineSize, lineSize * cy.zoom());
+
+        ctx.save();
+        ctx.font = "bold " + Math.round(size * 0.75) + "px sans-serif";
+        // a pill wide enough for the label
+        var width = label
+          ? Math.max(size, ctx.measureText(label).width + size / 2)
+          : size;
+        ctx.fillStyle = "black";
+        ctx.beginPath();
+        ctx.arc(
+          center.x - width / 2 + size / 2,
+          center.y,
+          size / 2,
+          Math.PI / 2,
+          (3 * Math.PI) / 2
+        );
+        ctx.arc(
+          center.x + width / 2 - size / 2,
+          center.y,
+          size / 2,
+          (3 * Math.PI) / 2,
+          Math.PI / 2
+        );
+        ctx.closePath();
+        ctx.fill();
+
+        if (label) {
+          ctx.fillStyle = "white";
+          ctx.textAlign = "center";
+          ctx.textBaseline = "middle";
+          ctx.fillText(label, center.x, center.y);
+        } else {
+          ctx.strokeStyle = "white";
+          ctx.lineWidth = Math.max(2.6, 2.6 * cy.zoom());
+          ctx.beginPath();
+          ctx.moveTo(center.x - lineSize / 2, center.y);
+          ctx.lineTo(center.x + lineSize / 2, center.y);
+          ctx.stroke();
+        }
+        ctx.restore();
+
+        edgeCues.push({
+          edge: edge,
+          startX: center.x - width / 2,
+          startY: center.y - size / 2,
+          width: width,
+          height: size,
+        });
+      }
+
       function drawImg(imgSrc, x, y, w, h) {
         var img = new Image(w, h);
         img.src = imgSrc;
@@ -240,7 +327,7 @@ module.exports = function (params, cy, api) {
       );
 
       cy.on("expandcollapse.clearvisualcue", function () {
-        if (nodeWithRenderedCue) {
+        if (nodeWithRenderedCue || edgeCues.length > 0) {
           clearDraws();
         }
       });
@@ -276,9 +363,14 @@ module.exports = function (params, cy, api) {
       cy.on(
         "select unselect",
         (data.eSelect = function () {
-          if (nodeWithRenderedCue) {
+          if (nodeWithRenderedCue || edgeCues.length > 0) {
             clearDraws();
           }
+          drawEdgeCues();
+          // the cue events stay bound for the edge cues while the cues of nodes are disabled
+          if (!options().cueEnabled) {
+            return;
+          }
           var selectedNodes = cy.nodes(":selected");
           if (selectedNodes.length !== 1) {
             return;
@@ -294,9 +386,64 @@ module.exports = function (params, cy, api) {
         })
       );
 
+      // whether the tap event is on the given rendered bounds of a cue and does not end a drag
+      function isOnCue(event, startX, startY, width, height) {
+        if (!oldMousePos || !currMousePos) {
+          return false;
+        }
+        var cyRenderedPos = event.renderedPosition || event.cyRenderedPosition;
+        var factor = (options().expandCollapseCueSensitivity - 1) / 2;
+        return (
+          Math.abs(oldMousePos.x - currMousePos.x) < 5 &&
+          Math.abs(oldMousePos.y - currMousePos.y) < 5 &&
+          cyRenderedPos.x >= startX - width * factor &&
+          cyRenderedPos.x <= startX + width * (1 + factor) &&
+          cyRenderedPos.y >= startY - height * factor &&
+          cyRenderedPos.y <= startY + height * (1 + factor)
+        );
+      }
+
+      // expands the given collapsed edge, or collapses the given edge with its parallel edges
+      function toggleEdges(edge) {
+        var opts = options();
+        if (opts.undoable && !ur) {
+          ur = cy.undoRedo({ defaultActions: false });
+        }
+
+        clearDraws();
+        if (edge.hasClass("cy-expand-collapse-collapsed-edge")) {
+          if (opts.undoable) {
+            ur.do("expandEdges", { edges: edge });
+          } else {
+            api.expandEdges(edge);
+          }
+        } else {
+          var edges = edge.parallelEdges();
+          if (opts.undoable) {
+            ur.do("collapseEdges", { edges: edges, options: opts });
+          } else {
+            api.collapseEdges(edges, opts);
+          }
+        }
+      }
+
       cy.on(
         "tap",
         (data.eTap = function (event) {
+          var edgeCue = edgeCues.find(function (cue) {
+            return isOnCue(
+              event,
+              cue.startX,
+              cue.startY,
+              cue.width,
+              cue.height
+            );
+          });
+          if (edgeCue) {
+            toggleEdges(edgeCue.edge);
+            return;
+          }
+
           var node = nodeWithRenderedCue;
           if (!node) {
             return;
@@ -342,7 +489,8 @@ module.exports = function (params, cy, api) {
               ur = cy.undoRedo({ defaultActions: false });
             }
 
-            if (api.isCollapsible(node)) {
+            // canCollapse and canExpand options may veto the operation
+            if (api.collapsibleNodes(node).nonempty()) {
               clearDraws();
               if (opts.undoable) {
                 ur.do("collapse", {
@@ -350,14 +498,18 @@ module.exports = function (params, cy, api) {
                   options: opts,
                 });
               } else {
-                api.collapse(node, opts);
+                api.collapse(node, opts).catch(function (error) {
+                  reportError(cy, "collapse", error);
+                });
               }
-            } else if (api.isExpandable(node)) {
+            } else if (api.expandableNodes(node).nonempty()) {
               clearDraws();
               if (opts.undoable) {
                 ur.do("expand", { nodes: node, options: opts });
               } else {
-                api.expand(node, opts);
+                api.expand(node, opts).catch(function (error) {
+                  reportError(cy, "expand", error);
+                });
               }
             }
             if (node.selectable()) {
@@ -382,6 +534,9 @@ module.exports = function (params, cy, api) {
 
       cy.on("pan zoom", data.ePosition);
 
+      // edge cues follow the edges collapsed and expanded
+      cy.on("add remove", "edge", data.ePosition);
+
       // write options to data
       data.hasEventFields = true;
       setData(data);
@@ -390,42 +545,41 @@ module.exports = function (params, cy, api) {
       // var $container = this;
       var data = getData();
 
-      if (!data.hasEventFields) {
+      if (!data || !data.hasEventFields) {
         console.log("events to unbind does not exist");
         return;
       }
 
       cy.trigger("expandcollapse.clearvisualcue");
 
-      cy.off("mousedown", "node", data.eMouseDown)
-        .off("mouseup", "node", data.eMouseUp)
+      // the selectors have to match the ones the events are bound with in init
+      cy.off("mousedown", data.eMouseDown)
+        .off("mouseup", data.eMouseUp)
         .off("remove", "node", data.eRemove)
-        .off("tap", "node", data.eTap)
-        .off("add", "node", data.eAdd)
+        .off("tap", data.eTap)
         .off("position", "node", data.ePosition)
         .off("pan zoom", data.ePosition)
+        .off("add remove", "edge", data.ePosition)
         .off("select unselect", data.eSelect)
-        .off("free", "node", data.eFree)
         .off("resize", data.eCyResize)
         .off("afterUndo afterRedo", data.eUndoRedo);
     },
     rebind: function () {
       var data = getData();
 
-      if (!data.hasEventFields) {
+      if (!data || !data.hasEventFields) {
         console.log("events to rebind does not exist");
         return;
       }
 
-      cy.on("mousedown", "node", data.eMouseDown)
-        .on("mouseup", "node", data.eMouseUp)
+      cy.on("mousedown", data.eMouseDown)
+        .on("mouseup", data.eMouseUp)
         .on("remove", "node", data.eRemove)
-        .on("tap", "node", data.eTap)
-        .on("add", "node", data.eAdd)
+        .on("tap", data.eTap)
         .on("position", "node", data.ePosition)
         .on("pan zoom", data.ePosition)
+        .on("add remove", "edge", data.ePosition)
         .on("select unselect", data.eSelect)
-        .on("free", "node", data.eFree)
         .on("resize", data.eCyResize)
         .on("afterUndo afterRedo", data.eUndoRedo);
     },
@@ -3,6 +3,7 @@ var {
   handleNonDagreLayoutWithGroups,
   handleDagreLayoutWithGroups,
 } = require("./layoutUtilities");
+var nodeTypeUtilities = require("./nodeTypeUtilities");
 
 function elementUtilities(cy) {
   return {
@@ -72,12 +73,16 @@ function elementUtilities(cy) {
     rearrange: async function () {
       var expandCollapseOptions =
         cy.scratch("_cyExpandCollapse")?.tempOptions ?? {};
-      var hasGroupNodes = cy
-        .nodes()
-        .some((node) => node.data("type") === "group");
+      var hasGroupNodes = nodeTypeUtilities.hasGroupNodes(cy);
       var isDagreLayout =
         expandCollapseOptions?.groupLayoutBy?.name === "dagre";
       var layoutHandler = expandCollapseOptions?.layoutHandler;
+      var layoutEventPayload = {
+        operationId: cy.scratch("_cyExpandCollapse")?.operation?.id ?? null,
+        options: expandCollapseOptions,
+      };
+
+      cy.trigger("expandcollapse.layoutstart", [layoutEventPayload]);
 
       if (hasGroupNodes) {
         await (isDagreLayout
@@ -89,6 +94,8 @@ function elementUtilities(cy) {
 
       layoutHandler?.();
       cy.scratch("_cyExpandCollapse").positions = null;
+
+      cy.trigger("expandcollapse.layoutstop", [layoutEventPayload]);
     },
 
     convertToRenderedPosition: function (modelPosition) {
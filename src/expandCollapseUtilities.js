@@ -1,4 +1,7 @@
 var boundingBoxUtilities = require("./boundingBoxUtilities");
+var nodeTypeUtilities = require("./nodeTypeUtilities");
+var aggregateUtilities = require("./aggregateUtilities");
+var { markSupportDirty } = require("./getSupportCy");
 
 // Expand collapse utilities
 function expandCollapseUtilities(cy) {
@@ -6,12 +9,529 @@ function expandCollapseUtilities(cy) {
   return {
     //the number of nodes moving animatedly after expand operation
     animatedlyMovingNodeCount: 0,
+    // returns whether the canCollapse option allows collapsing the given node
+    canCollapse: function (node) {
+      var canCollapse = cy.scratch("_cyExpandCollapse")?.options?.canCollapse;
+      return typeof canCollapse !== "function" || !!canCollapse(node);
+    },
+    // returns whether the canExpand option allows expanding the given node
+    canExpand: function (node) {
+      var canExpand = cy.scratch("_cyExpandCollapse")?.options?.canExpand;
+      return typeof canExpand !== "function" || !!canExpand(node);
+    },
+    // calls the given callback option, operations it calls are performed as part of the running operation
+    callOption: function (callback, node) {
+      var queue = cy.scratch("_cyExpandCollapse")?.queue;
+      return queue
+        ? queue.runNested(function () {
+            return callback(node);
+          })
+        : callback(node);
+    },
+    // awaits the beforeExpand option for the given node and resolves to whether it vetoes the expansion, a rejection being a veto
+    isVetoedBeforeExpand: async function (node, options) {
+      if (typeof options?.beforeExpand !== "function") {
+        return false;
+      }
+      try {
+        return (await this.callOption(options.beforeExpand, node)) === false;
+      } catch (error) {
+        return true;
+      }
+    },
+    // loads the children of the given collapsed nodes having no collapsed children through the loadChildren option
+    loadMissingChildren: async function (nodes, options) {
+      var self = this;
+      if (typeof options?.loadChildren !== "function") {
+        return;
+      }
+
+      var unloadedNodes = nodes.filter(function (node) {
+        return (
+          node.hasClass("cy-expand-collapse-collapsed-node") &&
+          !self.hasCollapsedChildren(node)
+        );
+      });
+      var loadedElements = await Promise.all(
+        unloadedNodes.map(function (node) {
+          return self.callOption(options.loadChildren, node);
+        })
+      );
+
+      unloadedNodes.forEach(function (node, i) {
+        if (loadedElements[i]?.length) {
+          self.storeLoadedChildren(node, loadedElements[i]);
+        }
+      });
+    },
+    /*
+     * Returns the payload of the lifecycle events of the given node: the given children, the meta-edges connected
+     * to the node or to its children in the graph, the options in use and the id of the operation in progress.
+     */
+    getLifecycleEventPayload: function (node, children) {
+      var scratch = cy.scratch("_cyExpandCollapse");
+      var nodesInGraph = node.union(
+        children.filter(function (child) {
+          return child.inside();
+        })
+      );
+      return {
+        operationId: scratch?.operation?.id ?? null,
+        children: children,
+        metaEdges: nodesInGraph.connectedEdges(".cy-expand-collapse-meta-edge"),
+        options: scratch?.tempOptions ?? scratch?.options,
+      };
+    },
+    /*
+     * Writes the values of the aggregate option, evaluated over the hidden leaf nodes of the given collapsed node
+     * (the ones inside nested collapsed nodes included), onto its data.
+     */
+    updateAggregates: function (node) {
+      var scratch = cy.scratch("_cyExpandCollapse");
+      if (
+        !scratch?.options?.aggregate ||
+        scratch.isSupport ||
+        !this.hasCollapsedChildren(node)
+      ) {
+        return;
+      }
+
+      var self = this;
+      var descendants = this.getCollapsedChildrenRecursively(
+        node,
+        cy.collection()
+      ).nodes();
+      var parentIds = {};
+      descendants.forEach(function (descendant) {
+        parentIds[descendant.data("parent")] = true;
+      });
+      var leaves = descendants.filter(function (descendant) {
+        return (
+          !parentIds[descendant.id()] && !self.hasCollapsedChildren(descendant)
+        );
+      });
+
+      var aggregates = aggregateUtilities.getAggregates(
+        node,
+        leaves,
+        scratch.options
+      );
+      // keep the values the node held before its first aggregation, null for none, to restore them on expand
+      var previous = Object.assign({}, node.data("data-before-aggregate"));
+      Object.keys(aggregates).forEach(function (field) {
+        if (!(field in previous)) {
+          previous[field] = node.data(field) ?? null;
+        }
+      });
+      node.data("data-before-aggregate", previous);
+      Object.keys(aggregates).forEach(function (field) {
+        if (aggregates[field] === undefined) {
+          node.removeData(field);
+        } else {
+          node.data(field, aggregates[field]);
+        }
+      });
+    },
+    // replaces the values of the aggregate option in the data of the given node by the ones it held before
+    removeAggregates: function (node) {
+      var scratch = cy.scratch("_cyExpandCollapse");
+      if (scratch?.isSupport) {
+        return;
+      }
+
+      var previous = node.data("data-before-aggregate") ?? {};
+      var fields = Object.keys(scratch?.options?.aggregate ?? {}).concat(
+        Object.keys(previous)
+      );
+      node.removeData(fields.concat("data-before-aggregate").join(" "));
+      Object.keys(previous).forEach(function (field) {
+        if (previous[field] !== null) {
+          node.data(field, previous[field]);
+        }
+      });
+    },
+    /*
+     * Adds to the given collapsed node the first class of the statusClassPriorities option found among its hidden nodes,
+     * the ones inside nested collapsed nodes included, in place of the class it propagated before.
+     */
+    updateStatusClass: function (node) {
+      var scratch = cy.scratch("_cyExpandCollapse");
+      var priorities = scratch?.options?.statusClassPriorities;
+      if (!priorities?.length || scratch.isSupport) {
+        return;
+      }
+
+      this.removeStatusClass(node);
+      if (!this.hasCollapsedChildren(node)) {
+        return;
+      }
+
+      var descendants = this.getCollapsedChildrenRecursively(
+        node,
+        cy.collection()
+      ).nodes();
+      var statusClass = priorities.find(function (className) {
+        return descendants.some(function (descendant) {
+          return descendant.hasClass(className);
+        });
+      });
+      // a class the node has on its own is not propagated, so it is kept on expand
+      if (statusClass && !node.hasClass(statusClass)) {
+        node.addClass(statusClass);
+        node.data("propagatedStatusClass", statusClass);
+      }
+    },
+    // removes the class propagated to the given node by updateStatusClass
+    removeStatusClass: function (node) {
+      var statusClass = node.data("propagatedStatusClass");
+      if (statusClass) {
+        node.removeClass(statusClass);
+        node.removeData("propagatedStatusClass");
+      }
+    },
+    /*
+     * Returns the collapsed nodes hiding the element with the given id, from the outermost one, as chain and their
+     * collapsed children as childrenInChain. Returns null if there is no such hidden element.
+     */
+    findCollapsedChain: function (id) {
+      var self = this;
+      var chain = [];
+      var childrenInChain = [];
+
+      var search = function (node) {
+        var children = self.getCollapsedChildren(node);
+        chain.push(node);
+        childrenInChain.push(children);
+        if (children.getElementById(id).nonempty()) {
+          return true;
+        }
+
+        var nestedNodes = children.nodes().filter(function (child) {
+          return self.hasCollapsedChildren(child);
+        });
+        for (var i = 0; i < nestedNodes.length; i++) {
+          if (search(nestedNodes[i])) {
+            return true;
+          }
+        }
+        chain.pop();
+        childrenInChain.pop();
+        return false;
+      };
+
+      var collapsedNodes = cy.nodes().filter(function (node) {
+        return self.hasCollapsedChildren(node);
+      });
+      for (var i = 0; i < collapsedNodes.length; i++) {
+        if (search(collapsedNodes[i])) {
+          return { chain: chain, childrenInChain: childrenInChain };
+        }
+      }
+      return null;
+    },
+    /*
+     * Sets the given collapsed children of the given chain of collapsed nodes, from the innermost one, and updates
+     * their aggregates and status classes. Unloaded children are copies, they are unloaded again to keep the changes.
+     */
+    commitCollapsedChain: function (chain, childrenInChain) {
+      for (var i = chain.length - 1; i >= 0; i--) {
+        chain[i]._private.data.collapsedChildren = childrenInChain[i];
+        chain[i]._private.data.unloadedChildren = null;
+        this.unloadCollapsedChildren(chain[i]);
+        this.updateAggregates(chain[i]);
+        this.updateStatusClass(chain[i]);
+      }
+      // the collapsed children are set directly, without the events the support instance follows
+      if (chain.length) {
+        markSupportDirty(cy, chain[0]);
+      }
+    },
+    // returns whether the given node is collapsed, its children being loaded or not
+    isCollapsedNode: function (node) {
+      return (
+        this.hasCollapsedChildren(node) ||
+        node.hasClass("cy-expand-collapse-collapsed-node")
+      );
+    },
+    /*
+     * Finds where the elements connected to the nodes with the given ids are to live: the graph, or the collapsed children
+     * of the innermost collapsed node hiding all of them. With intoEnds, a collapsed node given is entered as well.
+     * Returns { chain, childrenInChain, ends }, chain being the collapsed nodes entered from the outermost one and ends
+     * the ids of the nodes standing for the given ones there. Returns null if a node is not found.
+     */
+    findContainer: function (ids, intoEnds) {
+      var parentData = cy.scratch("_cyExpandCollapse").parentData;
+      var chain = [];
+      var childrenInChain = [];
+      var eles = cy.elements();
+
+      while (true) {
+        var ends = ids.map(function (id) {
+          var current = id;
+          while (current != null && eles.getElementById(current).empty()) {
+            current = parentData[current]?.id();
+          }
+          return current;
+        });
+        if (ends.includes(undefined)) {
+          return null;
+        }
+
+        var end = eles.getElementById(ends[0]);
+        var isShared = ends.every(function (id) {
+          return id === ends[0];
+        });
+        if (
+          !isShared ||
+          !this.isCollapsedNode(end) ||
+          (!intoEnds && ids.includes(ends[0]))
+        ) {
+          return { chain: chain, childrenInChain: childrenInChain, ends: ends };
+        }
+
+        eles = this.getCollapsedChildren(end) ?? cy.collection();
+        chain.push(end[0]);
+        childrenInChain.push(eles);
+        if (ids.includes(ends[0])) {
+          return { chain: chain, childrenInChain: childrenInChain, ends: ends };
+        }
+      }
+    },
+    /*
+     * Adds the given element definitions, nodes first. Nodes whose parent is collapsed or hidden and edges whose ends
+     * are hidden are added to the collapsed children of the innermost collapsed node hiding them, edges
+     * connected to hidden nodes becoming meta-edges. Other elements are added to the graph.
+     * Elements whose parent or ends are not found are ignored. Returns the added elements.
+     */
+    addHiddenElements: function (jsons) {
+      var self = this;
+      var parentData = cy.scratch("_cyExpandCollapse").parentData;
+      var isEdge = function (json) {
+        return json.group === "edges" || json.data.source !== undefined;
+      };
+      var added = cy.collection();
+
+      jsons
+        .filter(function (json) {
+          return !isEdge(json);
+        })
+        .forEach(function (json) {
+          var parentId = json.data.parent;
+          var container =
+            parentId != null ? self.findContainer([parentId], true) : null;
+          if (parentId != null && !container) {
+            return;
+          }
+          if (!container?.chain.length) {
+            added = added.union(cy.add(json));
+            return;
+          }
+
+          var last = container.chain.length - 1;
+          var parent = container.childrenInChain[last].getElementById(parentId);
+          var position = parent.nonempty()
+            ? parent.position()
+            : container.chain[last].data("position-before-collapse") ??
+              container.chain[last].position();
+          if (parent.empty()) {
+            parent = container.chain[last];
+          }
+
+          var node = cy.collection(
+            [
+              Object.assign({}, json, {
+                group: "nodes",
+                position: json.position ?? { x: position.x, y: position.y },
+              }),
+            ],
+            { removed: true }
+          );
+          parentData[node.id()] = parent;
+          container.childrenInChain[last] =
+            container.childrenInChain[last].union(node);
+          self.commitCollapsedChain(container.chain, container.childrenInChain);
+          added = added.union(node);
+        });
+
+      jsons.filter(isEdge).forEach(function (json) {
+        var source = json.data.source;
+        var target = json.data.target;
+        var container = self.findContainer([source, target], false);
+        if (!container) {
+          return;
+        }
+
+        var last = container.chain.length - 1;
+        var eles = last >= 0 ? container.childrenInChain[last] : cy.elements();
+        var edgeJson = Object.assign({}, json, {
+          group: "edges",
+          data: Object.assign({}, json.data, {
+            source: container.ends[0],
+            target: container.ends[1],
+          }),
+        });
+        var edge =
+          last >= 0
+            ? cy.collection([edgeJson], { removed: true })
+            : cy.add(edgeJson);
+
+        if (source !== container.ends[0] || target !== container.ends[1]) {
+          edge.addClass("cy-expand-collapse-meta-edge");
+          edge.data("originalEnds", {
+            source: self.getOriginalEnd(source, eles),
+            target: self.getOriginalEnd(target, eles),
+          });
+        }
+        if (last >= 0) {
+          container.childrenInChain[last] =
+            container.childrenInChain[last].union(edge);
+          self.commitCollapsedChain(container.chain, container.childrenInChain);
+        } else {
+          self.refreshMergedEdges(edge.connectedNodes());
+        }
+        added = added.union(edge);
+      });
+
+      return added;
+    },
+    /*
+     * Removes the element with the given id hidden inside collapsed nodes. A node is removed with its descendants and
+     * the edges and meta-edges connected to them, in the graph as well. Returns the element, null if there is no such
+     * hidden element.
+     */
+    removeHiddenElement: function (id) {
+      var self = this;
+      var found = this.findCollapsedChain(id);
+      if (!found) {
+        return this.removeMergedEdge(id);
+      }
+
+      var last = found.chain.length - 1;
+      var element = found.childrenInChain[last].getElementById(id);
+      var removedIds = {};
+      removedIds[id] = true;
+      if (element.isNode()) {
+        // the descendants are among the same collapsed children, or hidden inside nested collapsed nodes
+        var descendants = cy.collection();
+        var isDescendant = function (node) {
+          return (
+            !removedIds[node.id()] && removedIds[node.data("parent")] === true
+          );
+        };
+        while (found.childrenInChain[last].nodes().some(isDescendant)) {
+          found.childrenInChain[last]
+            .nodes()
+            .filter(isDescendant)
+            .forEach(function (node) {
+              removedIds[node.id()] = true;
+              descendants = descendants.union(node);
+            });
+        }
+        element.union(descendants).forEach(function (node) {
+          if (self.hasCollapsedChildren(node)) {
+            self
+              .getCollapsedChildrenRecursively(node, cy.collection())
+              .forEach(function (ele) {
+                removedIds[ele.id()] = true;
+              });
+          }
+        });
+        element = element.union(descendants);
+      }
+
+      var isRemoved = function (ele) {
+        var originalEnds = ele.data("originalEnds");
+        return (
+          removedIds[ele.id()] ||
+          (ele.isEdge() &&
+            (removedIds[ele.data("source")] ||
+              removedIds[ele.data("target")] ||
+              removedIds[originalEnds?.source?.id()] ||
+              removedIds[originalEnds?.target?.id()]))
+        );
+      };
+
+      var isKept = function (ele) {
+        return (
+          !isRemoved(ele) &&
+          (!ele.isEdge() ||
+            self.getMergedEdgesField(ele) === null ||
+            self.pruneMergedEdge(ele, isRemoved))
+        );
+      };
+      var mergedEdges = cy.edges().filter(function (edge) {
+        return self.getMergedEdgesField(edge) !== null;
+      });
+      cy.edges()
+        .filter(function (edge) {
+          return !isKept(edge);
+        })
+        .remove();
+      this.refreshMergedEdges(mergedEdges.connectedNodes());
+      for (var i = 0; i <= last; i++) {
+        found.childrenInChain[i] = found.childrenInChain[i].filter(isKept);
+      }
+
+      var parentData = cy.scratch("_cyExpandCollapse").parentData;
+      Object.keys(removedIds).forEach(function (removedId) {
+        delete parentData[removedId];
+      });
+      this.commitCollapsedChain(found.chain, found.childrenInChain);
+
+      return element;
+    },
+    /*
+     * Removes the edge with the given id merged into a bundle or an automatically collapsed edge of the graph.
+     * Returns the edge, null if there is no such edge.
+     */
+    removeMergedEdge: function (id) {
+      var self = this;
+      var edge = null;
+      var isRemoved = function (ele) {
+        if (ele.id() !== id) {
+          return false;
+        }
+        edge = ele;
+        return true;
+      };
+      var mergedEdges = cy.edges().filter(function (mergedEdge) {
+        return self.getMergedEdgesField(mergedEdge) !== null;
+      });
+      mergedEdges.forEach(function (mergedEdge) {
+        if (!self.pruneMergedEdge(mergedEdge, isRemoved)) {
+          mergedEdge.remove();
+        }
+      });
+      if (edge) {
+        this.refreshMergedEdges(mergedEdges.connectedNodes());
+      }
+      return edge;
+    },
+    /*
+     * Calls update with the element with the given id hidden inside collapsed nodes, then commits the collapsed
+     * children hiding it. Returns the element, null if there is no such hidden element.
+     */
+    updateHiddenElement: function (id, update) {
+      var found = this.findCollapsedChain(id);
+      if (!found) {
+        return null;
+      }
+
+      var element =
+        found.childrenInChain[found.childrenInChain.length - 1].getElementById(
+          id
+        );
+      update(element);
+      this.commitCollapsedChain(found.chain, found.childrenInChain);
+
+      return element;
+    },
     /*
      * A funtion basicly expanding a node, it is to be called when a node is expanded anyway.
      * Single parameter indicates if the node is expanded alone and if it is truthy then to perform layout after expand.
      */
     expandNodeBaseFunction: async function (node, single) {
-      if (!node._private.data.collapsedChildren) {
+      if (!this.hasCollapsedChildren(node)) {
         return;
       }
 
@@ -26,14 +546,23 @@ function expandCollapseUtilities(cy) {
       };
 
       node.removeData("infoLabel");
-      if (node.data("type") === "group") {
+      this.removeAggregates(node);
+      this.removeStatusClass(node);
+      if (nodeTypeUtilities.isGroupNode(node)) {
         node.toggleClass("expanded", true);
         node.toggleClass("collapsed", false);
       }
       node.removeClass("cy-expand-collapse-collapsed-node");
 
-      node.trigger("expandcollapse.beforeexpand");
-      var restoredNodes = node._private.data.collapsedChildren;
+      var restoredNodes = this.getCollapsedChildren(node);
+      node.trigger("expandcollapse.beforeexpand", [
+        this.getLifecycleEventPayload(
+          node,
+          restoredNodes.nodes().filter(function (child) {
+            return child.data("parent") === node.id();
+          })
+        ),
+      ]);
       cy.add(restoredNodes);
       // restoredNodes.restore();
 
@@ -44,12 +573,15 @@ function expandCollapseUtilities(cy) {
       cy.scratch("_cyExpandCollapse").parentData = parentData;
       this.repairEdges(node);
       node._private.data.collapsedChildren = null;
+      node._private.data.unloadedChildren = null;
 
       elementUtilities.moveNodes(positionDiff, node.children());
       node.removeData("position-before-collapse");
 
       node.trigger("position"); // position not triggered by default when nodes are moved
-      node.trigger("expandcollapse.afterexpand");
+      node.trigger("expandcollapse.afterexpand", [
+        this.getLifecycleEventPayload(node, node.children()),
+      ]);
 
       // If expand is called just for one node then call end operation to perform layout
       if (single) {
@@ -93,7 +625,8 @@ function expandCollapseUtilities(cy) {
     simpleExpandAllNodes: async function (
       nodes,
       applyFishEyeViewToEachNode,
-      avoidExpandingClusters = true
+      avoidExpandingClusters = true,
+      preparedNodes
     ) {
       if (nodes === undefined) {
         nodes = cy.nodes();
@@ -107,7 +640,8 @@ function expandCollapseUtilities(cy) {
           root,
           expandStack,
           applyFishEyeViewToEachNode,
-          avoidExpandingClusters
+          avoidExpandingClusters,
+          preparedNodes
         );
       }
       return expandStack;
@@ -120,16 +654,22 @@ function expandCollapseUtilities(cy) {
         cy.scratch("_cyExpandCollapse")?.tempOptions?.allowReArrangeLayout;
       var shouldSaveFinalPositions =
         cy.scratch("_cyExpandCollapse")?.tempOptions?.shouldSaveFinalPositions;
+      // called directly as this is already part of a queued operation
       var savePositionsWithAllGroupsExpanded =
-        cy?.scratch("_cyExpandCollapse")?.api
+        cy?.scratch("_cyExpandCollapse")?.operations
           ?.savePositionsWithAllGroupsExpanded;
 
       if (allowReArrangeLayout) {
+        var layoutStart = Date.now();
         if (shouldSaveFinalPositions) {
           await savePositionsWithAllGroupsExpanded?.();
         }
 
         await elementUtilities.rearrange();
+        cy.scratch("_cyExpandCollapse").layoutTime =
+          (cy.scratch("_cyExpandCollapse").layoutTime ?? 0) +
+          Date.now() -
+          layoutStart;
 
         if (cy.scratch("_cyExpandCollapse").selectableChanged) {
           nodes.selectify();
@@ -144,10 +684,12 @@ function expandCollapseUtilities(cy) {
      * Calls simple expandAllNodes. Then performs end operation.
      */
     expandAllNodes: async function (nodes, options) {
+      // the given nodes already went through the beforeExpand and loadChildren options
       var expandedStack = await this.simpleExpandAllNodes(
         nodes,
         options?.fisheye,
-        options?.avoidExpandingClusters
+        options?.avoidExpandingClusters,
+        nodes
       );
 
       await this.endOperation(nodes);
@@ -158,17 +700,37 @@ function expandCollapseUtilities(cy) {
       return expandedStack;
     },
     /*
-     * Expands the root and its collapsed descendents in top down order.
+     * Expands the root and its collapsed descendents in top down order. The collapsed nodes not among the given
+     * prepared nodes go through the beforeExpand and loadChildren options before they are expanded.
      */
     expandAllTopDown: async function (
       root,
       expandStack,
       applyFishEyeViewToEachNode,
-      avoidExpandingClusters = true
+      avoidExpandingClusters = true,
+      preparedNodes
     ) {
-      var shouldExpandRoot =
-        root.data().type === "cluster" ? !avoidExpandingClusters : true;
-      if (root._private.data.collapsedChildren != null && shouldExpandRoot) {
+      var scratch = cy.scratch("_cyExpandCollapse");
+      var shouldExpandRoot = nodeTypeUtilities.isClusterNode(root)
+        ? !avoidExpandingClusters
+        : true;
+      if (
+        shouldExpandRoot &&
+        root.hasClass("cy-expand-collapse-collapsed-node") &&
+        !preparedNodes?.contains(root) &&
+        !scratch?.isSupport &&
+        this.canExpand(root)
+      ) {
+        if (await this.isVetoedBeforeExpand(root, scratch?.tempOptions)) {
+          return;
+        }
+        await this.loadMissingChildren(root, scratch?.tempOptions);
+      }
+      if (
+        this.hasCollapsedChildren(root) &&
+        shouldExpandRoot &&
+        this.canExpand(root)
+      ) {
         expandStack.push(root);
         await this.expandNode(root, applyFishEyeViewToEachNode);
       }
@@ -178,7 +740,9 @@ function expandCollapseUtilities(cy) {
         await this.expandAllTopDown(
           node,
           expandStack,
-          applyFishEyeViewToEachNode
+          applyFishEyeViewToEachNode,
+          undefined,
+          preparedNodes
         );
       }
     },
@@ -187,7 +751,7 @@ function expandCollapseUtilities(cy) {
       // If there is just one node to expand we need to animate for fisheye view, but if there are more then one node we do not
       if (nodes.length === 1) {
         var node = nodes[0];
-        if (node._private.data.collapsedChildren != null) {
+        if (this.hasCollapsedChildren(node)) {
           // Expand the given node the third parameter indicates that the node is simple which ensures that fisheye parameter will be considered
           await this.expandNode(
             node,
@@ -222,7 +786,7 @@ function expandCollapseUtilities(cy) {
       await this.endOperation(nodes);
 
       // Update the style
-      cy.style().update();
+      cy.style()?.update();
 
       /*
        * return the nodes to undo the operation
@@ -244,7 +808,7 @@ function expandCollapseUtilities(cy) {
     },
     //expand the nodes in top down order starting from the root
     expandTopDown: async function (root, applyFishEyeViewToEachNode) {
-      if (root.data("expand") && root._private.data.collapsedChildren != null) {
+      if (root.data("expand") && this.hasCollapsedChildren(root)) {
         // Expand the root and unmark its expand data to specify that it is no more to be expanded
         await this.expandNode(root, applyFishEyeViewToEachNode);
         root.removeData("expand");
@@ -313,7 +877,7 @@ function expandCollapseUtilities(cy) {
         }
       };
 
-      if (node._private.data.collapsedChildren != null) {
+      if (this.hasCollapsedChildren(node)) {
         this.storeWidthHeight(node);
         var animating = false; // Variable to check if there is a current animation, if there is commonExpandOperation will be called after animation
 
@@ -367,21 +931,19 @@ function expandCollapseUtilities(cy) {
                   {
                     pan: viewPort.pan,
                     zoom: viewPort.zoom,
-                    complete: function () {
-                      commonExpandOperation(
-                        node,
-                        applyFishEyeView,
-                        single,
-                        animate,
-                        animationDuration
-                      );
-                    },
                   },
                   {
                     duration: animationDuration || 1000,
                   }
                 )
                 .promise();
+              await commonExpandOperation(
+                node,
+                applyFishEyeView,
+                single,
+                animate,
+                animationDuration
+              );
             } else {
               cy.zoom(viewPort.zoom);
               cy.pan(viewPort.pan);
@@ -391,7 +953,7 @@ function expandCollapseUtilities(cy) {
 
         // If animating is not true we need to call commonExpandOperation here
         if (!animating) {
-          commonExpandOperation(
+          await commonExpandOperation(
             node,
             applyFishEyeView,
             single,
@@ -404,9 +966,54 @@ function expandCollapseUtilities(cy) {
         return node;
       }
     },
+    /*
+     * Stores the given elements, loaded for a collapsed node without collapsed children, as its collapsed children.
+     * The nodes without a parent become children of the node and the nodes without a position are placed on it.
+     * Edges between the elements and other nodes become meta-edges of the node, so expanding it restores them like
+     * the children of any collapsed node.
+     */
+    storeLoadedChildren: function (node, elements) {
+      var position = { x: node.position("x"), y: node.position("y") };
+      var jsons =
+        typeof elements.jsons === "function" ? elements.jsons() : elements;
+
+      cy.startBatch();
+      cy.add(
+        jsons.map(function (json) {
+          var ele = Object.assign({}, json, {
+            data: Object.assign({}, json.data),
+          });
+          var isEdge = ele.group === "edges" || ele.data.source !== undefined;
+          if (!isEdge) {
+            ele.data.parent = ele.data.parent ?? node.id();
+            ele.position = ele.position ?? { x: position.x, y: position.y };
+          }
+          return ele;
+        })
+      );
+      this.barrowEdgesOfcollapsedChildren(node);
+      this.removeChildren(node, node);
+      cy.endBatch();
+      this.bundleMetaEdges(node);
+      this.autoCollapseEdges(node);
+      this.updateAggregates(node);
+      this.updateStatusClass(node);
+
+      node.position(position);
+      node.data({
+        "position-before-collapse":
+          node.data("position-before-collapse") ?? position,
+        "size-before-collapse": node.data("size-before-collapse") ?? {
+          w: node.outerWidth(),
+          h: node.outerHeight(),
+        },
+      });
+
+      return node;
+    },
     //collapse the given node without performing end operation
     collapseNode: function (node) {
-      if (node._private.data.collapsedChildren == null) {
+      if (!this.hasCollapsedChildren(node)) {
         node.data("position-before-collapse", {
           x: node.position().x,
           y: node.position().y,
@@ -422,17 +1029,26 @@ function expandCollapseUtilities(cy) {
         children.unselect();
         children.connectedEdges().unselect();
 
-        node.trigger("expandcollapse.beforecollapse");
+        node.trigger("expandcollapse.beforecollapse", [
+          this.getLifecycleEventPayload(node, children),
+        ]);
 
         this.barrowEdgesOfcollapsedChildren(node);
         this.removeChildren(node, node);
-        if (node.data("type") === "group") {
+        this.bundleMetaEdges(node);
+        this.autoCollapseEdges(node);
+        this.updateAggregates(node);
+        this.updateStatusClass(node);
+        this.unloadCollapsedChildren(node);
+        if (nodeTypeUtilities.isGroupNode(node)) {
           node.toggleClass("expanded", false);
           node.toggleClass("collapsed", true);
         }
         node.addClass("cy-expand-collapse-collapsed-node");
 
-        node.trigger("expandcollapse.aftercollapse");
+        node.trigger("expandcollapse.aftercollapse", [
+          this.getLifecycleEventPayload(node, children),
+        ]);
 
         node.position(node.data("position-before-collapse"));
 
@@ -733,6 +1349,150 @@ function expandCollapseUtilities(cy) {
         }
       }
     },
+    // returns whether the given node keeps collapsed children, as elements or unloaded
+    hasCollapsedChildren: function (node) {
+      return (
+        node.data("collapsedChildren") != null ||
+        node.data("unloadedChildren") != null
+      );
+    },
+    /*
+     * Returns the collapsed children of the given node.
+     * Children unloaded on collapse are rehydrated to a new collection of removed elements on each call.
+     */
+    getCollapsedChildren: function (node) {
+      var unloadedChildren = node.data("unloadedChildren");
+      if (node.data("collapsedChildren") != null || unloadedChildren == null) {
+        return node.data("collapsedChildren");
+      }
+
+      var jsons =
+        unloadedChildren === true
+          ? cy
+              .scratch("_cyExpandCollapse")
+              .options.unloadCollapsedChildren.load(node)
+          : unloadedChildren;
+      return this.deserializeCollapsedElements(jsons);
+    },
+    /*
+     * Replaces the collapsed children of the given node by their JSON when the unloadCollapsedChildren option is set.
+     * The JSON is kept in the node data, or handed to the store given as the option.
+     * The support instance keeps its collapsed children as elements.
+     */
+    unloadCollapsedChildren: function (node) {
+      var scratch = cy.scratch("_cyExpandCollapse");
+      var unload = scratch?.options?.unloadCollapsedChildren;
+      if (
+        !unload ||
+        scratch.isSupport ||
+        node._private.data.collapsedChildren == null
+      ) {
+        return;
+      }
+
+      var jsons = this.serializeCollapsedElements(
+        node._private.data.collapsedChildren
+      );
+      if (typeof unload.save === "function") {
+        unload.save(node, jsons);
+        node._private.data.unloadedChildren = true;
+      } else {
+        node._private.data.unloadedChildren = jsons;
+      }
+      node._private.data.collapsedChildren = null;
+    },
+    /*
+     * Converts the given collapsed elements to plain JSON. Their collapsed children and edges are converted as well
+     * and the original ends of meta-edges are replaced by their ids.
+     */
+    serializeCollapsedElements: function (eles) {
+      var self = this;
+      return eles.map(function (ele) {
+        var json = ele.json();
+        var data = json.data;
+        if (data.collapsedChildren) {
+          data.unloadedChildren = self.serializeCollapsedElements(
+            data.collapsedChildren
+          );
+          data.collapsedChildren = null;
+        }
+        if (data.collapsedEdges) {
+          data.collapsedEdges = self.serializeCollapsedElements(
+            data.collapsedEdges
+          );
+        }
+        if (data.bundledEdges) {
+          data.bundledEdges = self.serializeCollapsedElements(
+            data.bundledEdges
+          );
+        }
+        if (data.originalEnds) {
+          data.originalEnds = {
+            source: data.originalEnds.source.id(),
+            target: data.originalEnds.target.id(),
+          };
+        }
+        // style bypasses are not part of the JSON of elements
+        var style = ele._private.style;
+        Object.keys(style ?? {}).forEach(function (name) {
+          if (style[name]?.bypass) {
+            json.style = json.style ?? {};
+            json.style[name] = style[name].strValue;
+          }
+        });
+        return json;
+      });
+    },
+    /*
+     * Creates removed elements from the JSON of collapsed elements, reverting serializeCollapsedElements.
+     * Nested unloaded children stay unloaded until their parent is expanded.
+     */
+    deserializeCollapsedElements: function (jsons) {
+      var self = this;
+      var eles = cy.collection(JSON.parse(JSON.stringify(jsons)), {
+        removed: true,
+      });
+
+      // the elements are removed so their data is set directly without triggering events
+      eles.forEach(function (ele) {
+        var data = ele._private.data;
+        if (Array.isArray(data.collapsedEdges)) {
+          data.collapsedEdges = self.deserializeCollapsedElements(
+            data.collapsedEdges
+          );
+        }
+        if (Array.isArray(data.bundledEdges)) {
+          data.bundledEdges = self.deserializeCollapsedElements(
+            data.bundledEdges
+          );
+        }
+        if (typeof data.originalEnds?.source === "string") {
+          data.originalEnds = {
+            source: self.getOriginalEnd(data.originalEnds.source, eles),
+            target: self.getOriginalEnd(data.originalEnds.target, eles),
+          };
+        }
+      });
+
+      return eles;
+    },
+    /*
+     * Returns the node with the given id among the given elements or in the graph.
+     * Nodes found in neither are kept elsewhere, a removed node with the same id stands for them as only ids of
+     * original ends are used to repair edges.
+     */
+    getOriginalEnd: function (id, eles) {
+      var node = eles.getElementById(id);
+      if (node.empty()) {
+        node = cy.getElementById(id);
+      }
+      if (node.empty()) {
+        node = cy.collection([{ group: "nodes", data: { id: id } }], {
+          removed: true,
+        });
+      }
+      return node[0];
+    },
     isMetaEdge: function (edge) {
       return edge.hasClass("cy-expand-collapse-meta-edge");
     },
@@ -786,6 +1546,7 @@ function expandCollapseUtilities(cy) {
       return current;
     },
     repairEdges: function (node) {
+      var restoredEdgeIds = this.splitMergedEdges(node);
       var connectedMetaEdges = node.connectedEdges(
         ".cy-expand-collapse-meta-edge"
       );
@@ -817,6 +1578,296 @@ function expandCollapseUtilities(cy) {
           edge.removeData("originalEnds");
         }
       }
+
+      // the split edges are merged again at the collapsed nodes they connect
+      var self = this;
+      restoredEdgeIds
+        .map(function (id) {
+          return cy.getElementById(id);
+        })
+        .reduce(function (nodes, edge) {
+          return nodes.union(edge.connectedNodes());
+        }, cy.collection())
+        .filter(function (end) {
+          return self.isCollapsedNode(end);
+        })
+        .forEach(function (end) {
+          self.bundleMetaEdges(end);
+          self.autoCollapseEdges(end);
+        });
+    },
+    // returns the type of the given edge as given by the edgeTypeInfo option, "unknown" if it has none
+    getEdgeType: function (edge, options) {
+      if (options?.edgeTypeInfo === undefined) {
+        return "unknown";
+      }
+      var type =
+        options.edgeTypeInfo instanceof Function
+          ? options.edgeTypeInfo.call(edge)
+          : edge.data()[options.edgeTypeInfo];
+      return type ?? "unknown";
+    },
+    isMetaEdgeBundle: function (edge) {
+      return edge.hasClass("cy-expand-collapse-meta-edge-bundle");
+    },
+    // returns the edges merged into the given bundles and their nested bundles, other given edges included
+    getBundledEdgesRecursively: function (edges) {
+      var self = this;
+      return edges.reduce(function (bundledEdges, edge) {
+        return bundledEdges.union(
+          self.isMetaEdgeBundle(edge)
+            ? self.getBundledEdgesRecursively(edge.data("bundledEdges"))
+            : edge
+        );
+      }, cy.collection());
+    },
+    /*
+     * Merges the parallel meta-edges and bundles connected to the given collapsed node into one bundle per source,
+     * target and type when the bundleMetaEdges option is set. A bundle keeps the merged edges as bundledEdges,
+     * the number of original edges as count and the values of the metaEdgeAggregate option evaluated over them.
+     */
+    bundleMetaEdges: function (node) {
+      var scratch = cy.scratch("_cyExpandCollapse");
+      var options = scratch?.options;
+      if (!options?.bundleMetaEdges || scratch.isSupport) {
+        return;
+      }
+
+      var self = this;
+      var groups = {};
+      node.connectedEdges().forEach(function (edge) {
+        if (!self.isMetaEdge(edge) && !self.isMetaEdgeBundle(edge)) {
+          return;
+        }
+        var type = self.getEdgeType(edge, options);
+        // the parts are kept apart so that ids containing "_" cannot merge two groups
+        var key = JSON.stringify([
+          edge.data("source"),
+          edge.data("target"),
+          type,
+        ]);
+        groups[key] = groups[key] ?? { type: type, edges: cy.collection() };
+        groups[key].edges = groups[key].edges.union(edge);
+      });
+
+      Object.keys(groups).forEach(function (key) {
+        var group = groups[key];
+        if (group.edges.length < 2) {
+          return;
+        }
+
+        // the edges are removed first so that a bundle made again keeps its id
+        var bundledEdges = group.edges.remove();
+        var data = {
+          id: self.getUniqueId(
+            "metaEdgeBundle_" +
+              group.edges[0].data("source") +
+              "_" +
+              group.edges[0].data("target") +
+              "_" +
+              group.type +
+              "_" +
+              self.getHash(key)
+          ),
+          source: group.edges[0].data("source"),
+          target: group.edges[0].data("target"),
+          bundledEdges: bundledEdges,
+        };
+        if (typeof options.edgeTypeInfo === "string") {
+          data[options.edgeTypeInfo] = group.type;
+        }
+
+        self.updateMetaEdgeBundle(
+          cy.add({
+            group: "edges",
+            data: data,
+            classes: "cy-expand-collapse-meta-edge-bundle",
+          })
+        );
+      });
+    },
+    // sets the count of original edges of the given bundle and the values of the metaEdgeAggregate option
+    updateMetaEdgeBundle: function (bundle) {
+      var options = cy.scratch("_cyExpandCollapse").options;
+      var originalEdges = this.getBundledEdgesRecursively(
+        bundle.data("bundledEdges")
+      );
+      bundle.data("count", originalEdges.length);
+      if (!options.metaEdgeAggregate) {
+        return;
+      }
+
+      var aggregates = aggregateUtilities.getAggregates(
+        bundle,
+        originalEdges,
+        Object.assign({}, options, { aggregate: options.metaEdgeAggregate })
+      );
+      Object.keys(aggregates).forEach(function (field) {
+        if (aggregates[field] === undefined) {
+          bundle.removeData(field);
+        } else {
+          bundle.data(field, aggregates[field]);
+        }
+      });
+    },
+    /*
+     * Returns the data field holding the edges merged into the given edge: bundledEdges for meta-edge bundles and
+     * collapsedEdges for edges collapsed automatically, null for other edges.
+     */
+    getMergedEdgesField: function (edge) {
+      if (this.isMetaEdgeBundle(edge)) {
+        return "bundledEdges";
+      }
+      if (
+        edge.hasClass("cy-expand-collapse-collapsed-edge") &&
+        edge.data("autoCollapsed")
+      ) {
+        return "collapsedEdges";
+      }
+      return null;
+    },
+    /*
+     * Replaces the bundles and the automatically collapsed edges made at the given node, the ones it is an original end of,
+     * by the edges they merged. The ones moved there from its descendants are kept. Returns the ids of the restored edges.
+     */
+    splitMergedEdges: function (node) {
+      var self = this;
+      var restoredEdgeIds = [];
+      var getEdgesToSplit = function () {
+        return node.connectedEdges().filter(function (edge) {
+          var end = edge.data("source") === node.id() ? "source" : "target";
+          var originalEnd = edge.data("originalEnds")?.[end];
+          return (
+            self.getMergedEdgesField(edge) !== null &&
+            (!originalEnd || originalEnd.id() === node.id())
+          );
+        });
+      };
+
+      // the edges merged at the node may include edges merged at the node before its ancestor was collapsed
+      var edgesToSplit = getEdgesToSplit();
+      while (edgesToSplit.nonempty()) {
+        edgesToSplit.forEach(function (mergedEdge) {
+          self.splitMergedEdge(mergedEdge).forEach(function (edge) {
+            restoredEdgeIds.push(edge.id());
+          });
+        });
+        edgesToSplit = getEdgesToSplit();
+      }
+      return restoredEdgeIds;
+    },
+    // replaces the given bundle or automatically collapsed edge by the edges it merged and returns them
+    splitMergedEdge: function (mergedEdge) {
+      var self = this;
+      var mergedEdges = mergedEdge.data(this.getMergedEdgesField(mergedEdge));
+      var originalEnds = mergedEdge.data("originalEnds");
+      var newEnds = {};
+      newEnds[originalEnds?.source.id() ?? mergedEdge.data("source")] =
+        mergedEdge.data("source");
+      newEnds[originalEnds?.target.id() ?? mergedEdge.data("target")] =
+        mergedEdge.data("target");
+
+      // the ends of an edge moved as a meta-edge are moved for the edges it merged as well
+      mergedEdges.forEach(function (edge) {
+        var data = edge._private.data;
+        var source = newEnds[data.source] ?? data.source;
+        var target = newEnds[data.target] ?? data.target;
+        if (source === data.source && target === data.target) {
+          return;
+        }
+        if (!self.isMetaEdge(edge)) {
+          edge.addClass("cy-expand-collapse-meta-edge");
+          data.originalEnds = {
+            source: self.getOriginalEnd(data.source, cy.collection()),
+            target: self.getOriginalEnd(data.target, cy.collection()),
+          };
+        }
+        data.source = source;
+        data.target = target;
+      });
+      mergedEdge.remove();
+      return cy.add(mergedEdges);
+    },
+    /*
+     * Splits the bundles and the automatically collapsed edges connected to the given collapsed nodes that no longer
+     * merge two edges, then merges the parallel edges at these nodes again, after hidden elements were added or removed.
+     */
+    refreshMergedEdges: function (nodes) {
+      var self = this;
+      nodes
+        .filter(function (node) {
+          return node.inside() && self.isCollapsedNode(node);
+        })
+        .forEach(function (node) {
+          // splitting an edge may restore a nested one merging a single edge as well
+          var getEdgesToSplit = function () {
+            return node.connectedEdges().filter(function (edge) {
+              var field = self.getMergedEdgesField(edge);
+              return field !== null && edge.data(field).length < 2;
+            });
+          };
+          for (
+            var edgesToSplit = getEdgesToSplit();
+            edgesToSplit.nonempty();
+            edgesToSplit = getEdgesToSplit()
+          ) {
+            edgesToSplit.forEach(function (edge) {
+              self.splitMergedEdge(edge);
+            });
+          }
+          self.bundleMetaEdges(node);
+          self.autoCollapseEdges(node);
+        });
+    },
+    /*
+     * Removes the edges the given predicate returns true for from the given bundle or automatically collapsed edge and
+     * the ones it merged. Returns whether it still merges edges.
+     */
+    pruneMergedEdge: function (mergedEdge, isRemoved) {
+      var self = this;
+      var field = this.getMergedEdgesField(mergedEdge);
+      var mergedEdges = mergedEdge.data(field).filter(function (edge) {
+        return (
+          !isRemoved(edge) &&
+          (self.getMergedEdgesField(edge) === null ||
+            self.pruneMergedEdge(edge, isRemoved))
+        );
+      });
+      mergedEdge._private.data[field] = mergedEdges;
+      if (this.isMetaEdgeBundle(mergedEdge)) {
+        this.updateMetaEdgeBundle(mergedEdge);
+      }
+      return mergedEdges.nonempty();
+    },
+    /*
+     * Collapses the parallel edges between the given collapsed node and each of its neighbours, as collapseGivenEdges does,
+     * when the autoCollapseEdges option is set. The collapsed edges are marked with the autoCollapsed data field.
+     */
+    autoCollapseEdges: function (node) {
+      var scratch = cy.scratch("_cyExpandCollapse");
+      if (!scratch?.options?.autoCollapseEdges || scratch.isSupport) {
+        return;
+      }
+
+      var self = this;
+      var options = scratch.tempOptions ?? scratch.options;
+      node
+        .neighborhood()
+        .nodes()
+        .union(node)
+        .forEach(function (neighbour) {
+          var edges =
+            neighbour.id() === node.id()
+              ? node.connectedEdges().filter(function (edge) {
+                  return edge.isLoop();
+                })
+              : node.edgesWith(neighbour);
+          if (edges.length >= 2) {
+            self
+              .collapseGivenEdges(edges, options)
+              .edges.data("autoCollapsed", true);
+          }
+        });
     },
     /*node is an outer node of root
    if root is not it's anchestor
@@ -839,10 +1890,10 @@ function expandCollapseUtilities(cy) {
      * @return : collapsed children
      */
     getCollapsedChildrenRecursively: function (node, collapsedChildren) {
-      var children = node.data("collapsedChildren") || [];
+      var children = this.getCollapsedChildren(node) || [];
       var i;
       for (i = 0; i < children.length; i++) {
-        if (children[i].data("collapsedChildren")) {
+        if (this.hasCollapsedChildren(children[i])) {
           collapsedChildren = collapsedChildren.union(
             this.getCollapsedChildrenRecursively(children[i], collapsedChildren)
           );
@@ -922,20 +1973,6 @@ function expandCollapseUtilities(cy) {
         newEdge.data = {};
         newEdge.data.source = edgesToCollapse[edgeGroupType].source;
         newEdge.data.target = edgesToCollapse[edgeGroupType].target;
-        var id1 = nodes[0].id();
-        var id2 = id1;
-        if (nodes[1]) {
-          id2 = nodes[1].id();
-        }
-        newEdge.data.id =
-          "collapsedEdge_" +
-          id1 +
-          "_" +
-          id2 +
-          "_" +
-          edgeGroupType +
-          "_" +
-          Math.floor(Math.random() * Date.now());
         newEdge.data.collapsedEdges = cy.collection();
 
         edgesToCollapse[edgeGroupType].edges.forEach(function (edge) {
@@ -946,15 +1983,14 @@ function expandCollapseUtilities(cy) {
           newEdge.data.collapsedEdges,
           options
         );
+        newEdge.data.id = this.getCollapsedEdgeId(
+          newEdge.data.collapsedEdges,
+          edgeGroupType,
+          nodes.map((node) => node.id()).sort(),
+          options
+        );
 
-        var edgesTypeField = "edgeType";
-        if (options?.edgeTypeInfo !== undefined) {
-          edgesTypeField =
-            options?.edgeTypeInfo instanceof Function
-              ? edgesTypeField
-              : options?.edgeTypeInfo;
-        }
-        newEdge.data[edgesTypeField] = edgeGroupType;
+        newEdge.data[this.getEdgeTypeField(options)] = edgeGroupType;
 
         newEdge.data["directionType"] =
           edgesToCollapse[edgeGroupType].directionType;
@@ -969,6 +2005,181 @@ function expandCollapseUtilities(cy) {
       return result;
     },
 
+    /*
+     * Collapses the given edges sharing the given end node into an edge between that node and a new junction node,
+     * which is connected to each of the other ends of the edges, one junction per edge type if groupEdgesOfSameTypeOnCollapse is set.
+     * The returned edges also hold the junction nodes and their edges, so that they are removed and restored together.
+     */
+    collapseFanEdges: function (edges, center, options) {
+      var self = this;
+      edges.unselect();
+      var edgesToCollapse = {};
+      edges.forEach(function (edge) {
+        var edgeType = options?.groupEdgesOfSameTypeOnCollapse
+          ? self.getEdgeType(edge, options)
+          : "unknown";
+        edgesToCollapse[edgeType] = (
+          edgesToCollapse[edgeType] ?? cy.collection()
+        ).union(edge);
+      });
+
+      var result = { edges: cy.collection(), oldEdges: cy.collection() };
+      Object.keys(edgesToCollapse).forEach(function (edgeType) {
+        var group = edgesToCollapse[edgeType];
+        var ends = group.connectedNodes().difference(center);
+        if (group.length < 2) {
+          return;
+        }
+        // the edges of a type between a single pair of nodes are collapsed as usual
+        if (ends.length < 2) {
+          var pairResult = self.collapseGivenEdges(group, options);
+          result.edges = result.edges.union(pairResult.edges);
+          result.oldEdges = result.oldEdges.union(pairResult.oldEdges);
+          return;
+        }
+
+        group.trigger("expandcollapse.beforecollapseedge");
+        var isIncoming = (edge) => edge.target().same(center);
+        // edges to the center are drawn from the other ends through the junction, other edges the other way
+        var incoming = group.every(isIncoming);
+        var getDirectionType = (col) =>
+          col.every(isIncoming) || !col.some(isIncoming)
+            ? "unidirection"
+            : "bidirection";
+
+        var collapsedEdges = self.check4nestedCollapse(group, options);
+        var id = self.getCollapsedEdgeId(
+          collapsedEdges,
+          edgeType,
+          [center.id(), "fan"],
+          options
+        );
+        var junctionId = self.getUniqueId("edgeJunction_" + id);
+        var centerPosition = center.position();
+        var junction = {
+          group: "nodes",
+          data: { id: junctionId, fanEdge: id },
+          classes: "cy-expand-collapse-edge-junction",
+          // halfway between the center and the centroid of the other ends
+          position: {
+            x:
+              (centerPosition.x +
+                ends.reduce((sum, end) => sum + end.position("x"), 0) /
+                  ends.length) /
+              2,
+            y:
+              (centerPosition.y +
+                ends.reduce((sum, end) => sum + end.position("y"), 0) /
+                  ends.length) /
+              2,
+          },
+        };
+        var parent = center.parent();
+        if (
+          parent.nonempty() &&
+          ends.every((end) => end.parent().same(parent))
+        ) {
+          junction.data.parent = parent.id();
+        }
+
+        var newEdge = {
+          group: "edges",
+          data: {
+            id: id,
+            source: incoming ? junctionId : center.id(),
+            target: incoming ? center.id() : junctionId,
+            collapsedEdges: collapsedEdges,
+            directionType: getDirectionType(group),
+            junction: junctionId,
+          },
+          classes:
+            "cy-expand-collapse-collapsed-edge cy-expand-collapse-fan-edge",
+        };
+        newEdge.data[self.getEdgeTypeField(options)] = edgeType;
+
+        // each edge of the junction stands for the collapsed edges of its end
+        var branches = ends.map(function (end) {
+          var endEdges = group.filter((edge) =>
+            edge.connectedNodes().contains(end)
+          );
+          return {
+            group: "edges",
+            data: {
+              id: self.getCollapsedEdgeId(
+                endEdges,
+                edgeType,
+                [end.id(), junctionId],
+                options
+              ),
+              source: incoming ? end.id() : junctionId,
+              target: incoming ? junctionId : end.id(),
+              fanEdge: id,
+              directionType: getDirectionType(endEdges),
+            },
+            classes: "cy-expand-collapse-junction-edge",
+          };
+        });
+
+        result.oldEdges = result.oldEdges.union(group);
+        cy.remove(group);
+        result.edges = result.edges.union(
+          cy.add([junction, newEdge].concat(branches))
+        );
+        group.trigger("expandcollapse.aftercollapseedge");
+      });
+      return result;
+    },
+
+    // returns the data field holding the type of collapsed edges, edgeType if edgeTypeInfo is not a field name
+    getEdgeTypeField: function (options) {
+      return options?.edgeTypeInfo === undefined ||
+        options.edgeTypeInfo instanceof Function
+        ? "edgeType"
+        : options.edgeTypeInfo;
+    },
+
+    /*
+     * Returns the id of the edge collapsing the given edges, given by the collapsedEdgeId option if set.
+     * Otherwise the id is derived from the ids of the end nodes, the edge type and a hash of the ids of the collapsed edges,
+     * so that collapsing the same edges again gives the same id.
+     */
+    getCollapsedEdgeId: function (edges, edgeType, endIds, options) {
+      if (typeof options?.collapsedEdgeId === "function") {
+        return options.collapsedEdgeId(edges, edgeType);
+      }
+      var memberIds = edges
+        .map((edge) => edge.id())
+        .sort()
+        .join(",");
+      return this.getUniqueId(
+        "collapsedEdge_" +
+          endIds[0] +
+          "_" +
+          (endIds[1] ?? endIds[0]) +
+          "_" +
+          edgeType +
+          "_" +
+          this.getHash(memberIds)
+      );
+    },
+    // returns the 32-bit FNV-1a hash of the given string in base 36
+    getHash: function (str) {
+      var hash = 0x811c9dc5;
+      for (var i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return (hash >>> 0).toString(36);
+    },
+    // returns the given id, with a number appended if another element already holds it
+    getUniqueId: function (id) {
+      var uniqueId = id;
+      for (var n = 1; cy.getElementById(uniqueId).length > 0; n++) {
+        uniqueId = id + "_" + n;
+      }
+      return uniqueId;
+    },
+
     check4nestedCollapse: function (edges2collapse, options) {
       if (options?.allowNestedEdgeCollapse) {
         return edges2collapse;
@@ -987,6 +2198,10 @@ function expandCollapseUtilities(cy) {
     },
 
     expandEdge: function (edge) {
+      // the edges of a junction expand the edge collapsed into it
+      if (edge.hasClass("cy-expand-collapse-junction-edge")) {
+        edge = cy.getElementById(edge.data("fanEdge"));
+      }
       edge.unselect();
       var result = { edges: cy.collection(), oldEdges: cy.collection() };
       var edges = edge.data("collapsedEdges");
@@ -994,6 +2209,13 @@ function expandCollapseUtilities(cy) {
         edge.trigger("expandcollapse.beforeexpandedge");
         result.oldEdges = result.oldEdges.add(edge);
         cy.remove(edge);
+        if (edge.data("junction")) {
+          var junction = cy.getElementById(edge.data("junction"));
+          result.oldEdges = result.oldEdges.add(
+            junction.union(junction.connectedEdges())
+          );
+          cy.remove(junction);
+        }
         result.edges = cy.add(edges);
         edge.trigger("expandcollapse.afterexpandedge");
       }
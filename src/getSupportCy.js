@@ -2,26 +2,68 @@ const cytoscape = require("cytoscape");
 const fcose = require("cytoscape-fcose");
 const dagre = require("cytoscape-dagre");
 
+// Events of the main and the support instances that make the support instance diverge from the main one
+const MIRRORED_EVENTS = "add remove data class move position";
+
+// Data fields that can not be changed through ele.data()
+const IMMUTABLE_DATA_FIELDS = ["id", "parent", "source", "target"];
+
 /**
- * Creates a new support cytoscape instance with the same elements and style as the provided instance,
- * and attaches it to a container with the ID "support-map".
+ * Checks whether the support instance should be created without a DOM container.
+ * This is the case when it is requested through the options, when there is no document at all
+ * (e.g. server-side rendering) or when neither the main instance nor the support map container is mounted.
  *
  * @param {Object} cy - The original Cytoscape instance.
- * @returns {Object} The new Cytoscape instance.
+ * @param {Object} options - The expand/collapse extension options.
+ * @returns {boolean} True if the support instance should be headless.
  */
-function getSupportCy(cy) {
-  const cyJson = cy.json();
-
-  let cont = document.getElementById(
-    cy.scratch("_cyExpandCollapse")?.options?.supportMapId
+function isHeadlessSupport(cy, options) {
+  return (
+    !!options?.supportHeadless ||
+    typeof document === "undefined" ||
+    !cy.container() ||
+    !document.getElementById(options?.supportMapId)
   );
+}
+
+/**
+ * Sizes the support map container like the container of the original instance.
+ *
+ * @param {Object} cy - The original Cytoscape instance.
+ * @param {Object} cont - The support map container.
+ */
+function sizeSupportContainer(cy, cont) {
   cont.style.width = cy.container().clientWidth + "px";
   cont.style.height = cy.container().clientHeight + "px";
+}
 
-  cytoscape.use(fcose);
-  cytoscape.use(dagre);
+/**
+ * Creates a new support cytoscape instance with the same elements and style as the provided instance.
+ * The instance is attached to the container whose ID is given by the `supportMapId` option, or created
+ * headless when no such container can be used. A custom `supportCyFactory` option replaces the
+ * cytoscape constructor.
+ *
+ * @param {Object} cy - The original Cytoscape instance.
+ * @returns {Object} The new Cytoscape instance.
+ */
+function createSupportCy(cy) {
+  const cyJson = cy.json();
+  const options = cy.scratch("_cyExpandCollapse")?.options;
+  const headless = isHeadlessSupport(cy, options);
 
-  const supportCyStyle = cyJson.style.map((item) => {
+  let cont;
+  if (!headless) {
+    cont = document.getElementById(options?.supportMapId);
+    sizeSupportContainer(cy, cont);
+  }
+
+  const createCy = options?.supportCyFactory ?? cytoscape;
+  if (createCy === cytoscape) {
+    cytoscape.use(fcose);
+    cytoscape.use(dagre);
+  }
+
+  const supportCyStyle = (cyJson.style ?? []).map((item) => {
     const newItem = { ...item };
     if (newItem.style) {
       delete newItem.style["line-gradient-stop-colors"];
@@ -30,16 +72,28 @@ function getSupportCy(cy) {
     return newItem;
   });
 
-  const supportCy = cytoscape({
+  return createCy({
     container: cont,
+    headless,
     elements: cyJson.elements,
     styleEnabled: true,
     style: supportCyStyle,
   });
+}
 
-  var scratchPad = cy.scratch("_cyExpandCollapse") ?? {};
+/**
+ * Copies the scratchpad of the original instance to the support instance, disabling layout rearrangement
+ * and marking it as the scratchpad of a support instance.
+ *
+ * @param {Object} cy - The original Cytoscape instance.
+ * @param {Object} supportCy - The support Cytoscape instance.
+ */
+function syncScratch(cy, supportCy) {
+  const { supportCyState, ...scratchPad } =
+    cy.scratch("_cyExpandCollapse") ?? {};
   supportCy.scratch("_cyExpandCollapse", {
     ...scratchPad,
+    isSupport: true,
     parentData: { ...(scratchPad?.parentData ?? {}) },
     options: {
       ...(scratchPad?.options ?? {}),
@@ -50,8 +104,184 @@ function getSupportCy(cy) {
       allowReArrangeLayout: false,
     },
   });
+}
+
+/**
+ * Makes the data, parent or ends, classes and position of a support element match the original element.
+ * Positions are only copied between childless nodes, the position of a compound node following its children.
+ *
+ * @param {Object} ele - The element of the original instance.
+ * @param {Object} supportEle - The corresponding element of the support instance.
+ */
+function updateSupportElement(ele, supportEle) {
+  const data = { ...ele.data() };
+  const staleFields = Object.keys(supportEle.data()).filter(
+    (field) => !(field in data) && !IMMUTABLE_DATA_FIELDS.includes(field)
+  );
+  if (staleFields.length) {
+    supportEle.removeData(staleFields.join(" "));
+  }
+  IMMUTABLE_DATA_FIELDS.forEach((field) => delete data[field]);
+  supportEle.data(data);
+
+  if (ele.isNode()) {
+    const parentId = ele.data("parent") ?? null;
+    if ((supportEle.data("parent") ?? null) !== parentId) {
+      supportEle = supportEle.move({ parent: parentId });
+    }
+  } else if (
+    supportEle.data("source") !== ele.data("source") ||
+    supportEle.data("target") !== ele.data("target")
+  ) {
+    supportEle = supportEle.move({
+      source: ele.data("source"),
+      target: ele.data("target"),
+    });
+  }
+
+  supportEle.classes(ele.classes());
+
+  if (ele.isNode() && ele.isChildless() && supportEle.isChildless()) {
+    supportEle.position({ ...ele.position() });
+  }
+}
+
+/**
+ * Brings the elements with the given ids in the support instance back in line with the original instance.
+ * Support elements missing in the original instance are removed, missing ones are added and the others are updated.
+ *
+ * @param {Object} cy - The original Cytoscape instance.
+ * @param {Object} supportCy - The support Cytoscape instance.
+ * @param {Set<string>} ids - The ids of the elements that changed in either instance.
+ */
+function syncElements(cy, supportCy, ids) {
+  let toRemove = supportCy.collection();
+  ids.forEach((id) => {
+    const supportEle = supportCy.getElementById(id);
+    if (supportEle.nonempty() && cy.getElementById(id).empty()) {
+      toRemove = toRemove.union(supportEle);
+    }
+  });
+
+  // Removing a node removes its descendants and edges as well, the ones that still exist are re-added below
+  toRemove = toRemove
+    .union(toRemove.nodes().descendants())
+    .union(toRemove.nodes().connectedEdges());
+  toRemove.forEach((ele) => ids.add(ele.id()));
+  toRemove.remove();
+
+  // Parents have to exist before their children and nodes before their edges
+  const eles = [...ids]
+    .map((id) => cy.getElementById(id))
+    .filter((ele) => ele.nonempty())
+    .sort((a, b) => {
+      const depthA = a.isNode() ? a.ancestors().length : Infinity;
+      const depthB = b.isNode() ? b.ancestors().length : Infinity;
+      return depthA - depthB;
+    });
+
+  eles.forEach((ele) => {
+    const supportEle = supportCy.getElementById(ele.id());
+    if (supportEle.nonempty()) {
+      updateSupportElement(ele, supportEle);
+    } else {
+      supportCy.add({
+        group: ele.group(),
+        data: { ...ele.data() },
+        classes: ele.classes(),
+        position: { ...ele.position() },
+      });
+    }
+  });
+}
+
+/**
+ * Returns the support cytoscape instance of the provided instance.
+ * The support instance is created once per core and kept afterwards. Changes to the elements of either
+ * instance are recorded and only the changed elements are synchronized when the instance is requested again.
+ * The style of the support instance is copied once at creation.
+ *
+ * @param {Object} cy - The original Cytoscape instance.
+ * @returns {Object} The support Cytoscape instance, in sync with the original instance.
+ */
+function getSupportCy(cy) {
+  const scratchPad = cy.scratch("_cyExpandCollapse") ?? {};
+  let state = scratchPad.supportCyState;
+
+  if (!state || state.supportCy.destroyed()) {
+    const supportCy = createSupportCy(cy);
+    state = {
+      supportCy,
+      dirty: new Set(),
+      syncing: false,
+    };
+    state.markDirty = function (evt) {
+      if (!state.syncing) {
+        state.dirty.add(evt.target.id());
+      }
+    };
+    state.dispose = function () {
+      disposeSupportCy(cy);
+    };
+
+    cy.on(MIRRORED_EVENTS, state.markDirty);
+    supportCy.on(MIRRORED_EVENTS, state.markDirty);
+    cy.one("destroy", state.dispose);
+
+    scratchPad.supportCyState = state;
+    cy.scratch("_cyExpandCollapse", scratchPad);
+  } else if (state.dirty.size) {
+    const ids = state.dirty;
+    state.dirty = new Set();
+    state.syncing = true;
+    state.supportCy.batch(() => syncElements(cy, state.supportCy, ids));
+    state.syncing = false;
+  }
+
+  const supportCy = state.supportCy;
+  const container = supportCy.container();
+  if (container && cy.container()) {
+    sizeSupportContainer(cy, container);
+    supportCy.resize();
+  }
+
+  syncScratch(cy, supportCy);
 
   return supportCy;
 }
 
-module.exports = getSupportCy;
+/**
+ * Records that the given elements of the original instance changed without emitting an event, e.g. their data being
+ * set directly, so that they are synchronized when the support instance is requested again.
+ *
+ * @param {Object} cy - The original Cytoscape instance.
+ * @param {Object} eles - The elements that changed.
+ */
+function markSupportDirty(cy, eles) {
+  const state = cy.scratch("_cyExpandCollapse")?.supportCyState;
+  if (state && !state.syncing) {
+    eles.forEach((ele) => state.dirty.add(ele.id()));
+  }
+}
+
+/**
+ * Destroys the support cytoscape instance of the provided instance and stops mirroring its changes.
+ *
+ * @param {Object} cy - The original Cytoscape instance.
+ */
+function disposeSupportCy(cy) {
+  const scratchPad = cy.scratch("_cyExpandCollapse");
+  const state = scratchPad?.supportCyState;
+  if (!state) {
+    return;
+  }
+
+  cy.off(MIRRORED_EVENTS, state.markDirty);
+  cy.off("destroy", state.dispose);
+  if (!state.supportCy.destroyed()) {
+    state.supportCy.destroy();
+  }
+  delete scratchPad.supportCyState;
+}
+
+module.exports = { getSupportCy, markSupportDirty, disposeSupportCy };
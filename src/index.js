@@ -8,11 +8,43 @@
     } // can't register if cytoscape unspecified
     var undoRedoUtilities = require("./undoRedoUtilities");
     var cueUtilities = require("./cueUtilities");
-    var getSupportCy = require("./getSupportCy");
+    var { getSupportCy, disposeSupportCy } = require("./getSupportCy");
     var { repairEdges } = require("./edgeUtilities");
-    var { resolveCompoundNodesOverlap } = require("./layoutUtilities");
+    var {
+      resolveCompoundNodesOverlap,
+      getNodesByGroupLevels,
+    } = require("./layoutUtilities");
+    var {
+      isGroupNode,
+      isLeafNode,
+      hasGroupNodes,
+    } = require("./nodeTypeUtilities");
+    var operationQueue = require("./operationQueue");
+    var semanticZoomUtilities = require("./semanticZoomUtilities");
     var saveLoadUtils = null;
 
+    // operations serialized through the queue, mapped to the index of their options argument
+    var QUEUED_OPERATIONS = {
+      collapse: 1,
+      collapseRecursively: 1,
+      expand: 1,
+      expandRecursively: 1,
+      collapseAll: 0,
+      expandAll: 0,
+      expandToLevel: 1,
+      collapseBelowLevel: 1,
+      expandDepth: 2,
+      applySemanticZoom: 0,
+      focus: 1,
+      unfocus: 0,
+      reveal: 1,
+      applyDiff: 1,
+      savePositionsWithAllGroupsExpanded: 0,
+      updateCluster: 2,
+      expandCluster: 3,
+      collapseCluster: 3,
+    };
+
     function extendOptions(options, extendBy) {
       var tempOpts = {};
       for (var key in options) tempOpts[key] = options[key];
@@ -40,15 +72,48 @@
     // creates and returns the API instance for the extension
     function createExtensionAPI(cy, expandCollapseUtilities) {
       var api = {}; // API to be returned
+      var operations = {}; // expand/collapse operations, performed one at a time through the queue
+      var queue = operationQueue(cy);
+      var semanticZoom = semanticZoomUtilities(cy, api);
+      setScratch(cy, "operations", operations);
+      setScratch(cy, "queue", queue);
+      setScratch(cy, "semanticZoom", semanticZoom);
       // set functions
 
+      // the cue events are bound while the cues of nodes or the cues of edges are enabled
+      function areCuesBound(opts) {
+        return Boolean(opts.cueEnabled || opts.edgeCueEnabled);
+      }
+
+      // stores the given options, binding the cues and the semantic zoom again if they change
       function handleNewOptions(opts) {
         var currentOpts = getScratch(cy, "options");
-        if (opts.cueEnabled && !currentOpts.cueEnabled) {
-          api.enableCue();
-        } else if (!opts.cueEnabled && currentOpts.cueEnabled) {
-          api.disableCue();
+        if (areCuesBound(opts) !== areCuesBound(currentOpts)) {
+          cueUtilities(areCuesBound(opts) ? "rebind" : "unbind", cy, api);
+        } else if (
+          Boolean(opts.cueEnabled) !== Boolean(currentOpts.cueEnabled) ||
+          Boolean(opts.edgeCueEnabled) !== Boolean(currentOpts.edgeCueEnabled)
+        ) {
+          // the cues drawn are cleared so that the ones disabled disappear
+          api.clearVisualCue();
+        }
+        setScratch(cy, "options", opts);
+        // bound once the options are stored, as it reads the delay from them
+        if (opts.semanticZoomDelay !== currentOpts.semanticZoomDelay) {
+          semanticZoom.bind();
+        }
+      }
+
+      // returns the only node all the given edges are connected to, null if there is none or an edge is a self-loop
+      function getFanCenter(edges) {
+        var centers = edges[0].connectedNodes();
+        for (let i = 0; i < edges.length; i++) {
+          if (edges[i].isLoop()) {
+            return null;
+          }
+          centers = centers.intersection(edges[i].connectedNodes());
         }
+        return centers.length === 1 ? centers[0] : null;
       }
 
       function isOnly1Pair(edges) {
@@ -74,21 +139,89 @@
         return true;
       }
 
+      // positions of all nodes by id
+      function getNodePositions() {
+        var positions = {};
+        cy.nodes().forEach(function (node) {
+          positions[node.id()] = {
+            x: node.position("x"),
+            y: node.position("y"),
+          };
+        });
+        return positions;
+      }
+
+      // describes the given nodes as skipped by an operation for the given reason
+      function getSkippedNodes(nodes, reason) {
+        return (nodes ?? cy.collection()).map(function (node) {
+          return { node: node, reason: reason };
+        });
+      }
+
+      // the number of node operations in progress, operations running other ones report the layout time of all of them
+      var nodeOperationDepth = 0;
+
+      /*
+       * Performs a node operation and resolves to its result, perform resolves to the nodes whose state changed.
+       * The result holds these nodes, the given skipped nodes, the meta-edges created or repaired,
+       * the node positions before and after the operation and the time spent in layout in milliseconds.
+       */
+      async function performNodeOperation(skipped, perform) {
+        var positionsBefore = getNodePositions();
+        var metaEdgesBefore = cy.edges(".cy-expand-collapse-meta-edge");
+        var endsBefore = {};
+        metaEdgesBefore.forEach(function (edge) {
+          endsBefore[edge.id()] =
+            edge.data("source") + " " + edge.data("target");
+        });
+        if (nodeOperationDepth === 0) {
+          setScratch(cy, "layoutTime", 0);
+        }
+
+        nodeOperationDepth++;
+        try {
+          var nodes = await perform();
+        } finally {
+          nodeOperationDepth--;
+        }
+
+        var metaEdgesAfter = cy.edges(".cy-expand-collapse-meta-edge");
+        return {
+          nodes: nodes,
+          skipped: skipped,
+          metaEdges: {
+            created: metaEdgesAfter.difference(metaEdgesBefore),
+            repaired: metaEdgesBefore.filter(function (edge) {
+              return (
+                edge.inside() &&
+                (!edge.hasClass("cy-expand-collapse-meta-edge") ||
+                  endsBefore[edge.id()] !==
+                    edge.data("source") + " " + edge.data("target"))
+              );
+            }),
+          },
+          positions: { before: positionsBefore, after: getNodePositions() },
+          layoutTime: getScratch(cy, "layoutTime"),
+        };
+      }
+
       async function supportEndOperation(supportCy) {
         // Get the layout options from the scratchpad
         var layoutBy = getScratch(cy, "options").layoutBy;
         var groupLayoutBy = getScratch(cy, "options").groupLayoutBy;
         var customLayout = getScratch(cy, "options").customLayout;
+        var layoutByLevel = getScratch(cy, "options").layoutByLevel;
 
         repairEdges(supportCy);
 
         supportCy.nodes().forEach((node) => {
-          if (node.data("type") === "group" && node.isParent()) {
+          if (isGroupNode(node) && node.isParent()) {
             node.toggleClass("support-expanded", true);
           }
         });
 
         // Resolve any compound nodes overlap without animation
+        var layoutStart = Date.now();
         await resolveCompoundNodesOverlap(
           supportCy,
           {
@@ -96,7 +229,13 @@
             animate: false,
           },
           { ...groupLayoutBy, animate: false },
-          customLayout
+          customLayout,
+          layoutByLevel
+        );
+        setScratch(
+          cy,
+          "layoutTime",
+          (getScratch(cy, "layoutTime") ?? 0) + Date.now() - layoutStart
         );
 
         var positions = supportCy.nodes().map((node) => ({
@@ -104,9 +243,6 @@
           position: node.position(),
         }));
 
-        // Destroy the support cytoscape instance
-        supportCy.destroy();
-
         // Save the positions in the scratchpad
         setScratch(cy, "positions", positions);
       }
@@ -146,7 +282,7 @@
         var supportGroupNodesCollection = supportCy.collection();
 
         supportCy.nodes().forEach((supportNode) => {
-          if (supportNode.data().type === "group") {
+          if (isGroupNode(supportNode)) {
             supportNode.toggleClass("cy-expand-collapse-collapsed-node", false);
             supportNode.toggleClass("collapsed", false);
             supportNode.toggleClass("expanded", true);
@@ -167,7 +303,7 @@
         await supportEndOperation(supportCy);
       }
 
-      async function supportExpand(eles) {
+      async function supportExpand(eles, withoutLayout) {
         // Get the support cytoscape instance
         var supportCy = getSupportCy(cy);
 
@@ -193,21 +329,21 @@
             false
           );
 
-          await supportEndOperation(supportCy);
+          if (!withoutLayout) {
+            await supportEndOperation(supportCy);
+          }
         }
       }
 
       // set all options at once
       api.setOptions = function (opts) {
         handleNewOptions(opts);
-        setScratch(cy, "options", opts);
       };
 
       api.extendOptions = function (opts) {
         var options = getScratch(cy, "options");
         var newOptions = extendOptions(options, opts);
         handleNewOptions(newOptions);
-        setScratch(cy, "options", newOptions);
       };
 
       // set the option whose name is given
@@ -219,95 +355,196 @@
         var newOptions = extendOptions(options, opts);
 
         handleNewOptions(newOptions);
-        setScratch(cy, "options", newOptions);
       };
 
       // Collection functions
 
+      // describes the given nodes that are not in eligible as skipped, vetoed if they are in the given state but not allowed
+      function getSkippedOrVetoedNodes(nodes, eligible, isInState, reason) {
+        var skipped = nodes ? nodes.not(eligible) : cy.collection();
+        return getSkippedNodes(
+          skipped.filter(function (node) {
+            return isInState(node);
+          }),
+          "vetoed"
+        ).concat(
+          getSkippedNodes(
+            skipped.filter(function (node) {
+              return !isInState(node);
+            }),
+            reason
+          )
+        );
+      }
+
+      // awaits the beforeExpand option for each given node in order and resolves to the nodes it vetoed
+      async function getNodesVetoedBeforeExpand(nodes, options) {
+        var vetoed = cy.collection();
+        for (var i = 0; i < nodes.length; i++) {
+          if (
+            await expandCollapseUtilities.isVetoedBeforeExpand(
+              nodes[i],
+              options
+            )
+          ) {
+            vetoed = vetoed.union(nodes[i]);
+          }
+        }
+        return vetoed;
+      }
+
+      // returns the nodes matching the given selector, or the given nodes
+      function getEles(_eles) {
+        return typeof _eles === "string" ? cy.$(_eles) : _eles;
+      }
+
       // collapse given eles extend options with given param
-      api.collapse = async function (_eles, opts) {
-        var eles = this.collapsibleNodes(_eles);
+      operations.collapse = async function (_eles, opts) {
+        _eles = getEles(_eles);
+        var eles = api.collapsibleNodes(_eles);
         var options = getScratch(cy, "options");
         var tempOptions = extendOptions(options, opts);
         evalOptions(tempOptions);
 
-        var hasGroupNodes = !!cy
-          .nodes()
-          .some((node) => node.data().type === "group");
-
-        if (hasGroupNodes && tempOptions?.groupLayoutBy?.name !== "dagre") {
-          await supportCollapse(eles);
-        }
+        return performNodeOperation(
+          getSkippedOrVetoedNodes(
+            _eles,
+            eles,
+            api.isCollapsible.bind(api),
+            "not-collapsible"
+          ),
+          async function () {
+            if (
+              hasGroupNodes(cy) &&
+              tempOptions?.groupLayoutBy?.name !== "dagre"
+            ) {
+              await supportCollapse(eles);
+            }
 
-        setScratch(cy, "tempOptions", tempOptions);
+            setScratch(cy, "tempOptions", tempOptions);
 
-        const result = await expandCollapseUtilities.collapseGivenNodes(
-          eles,
-          tempOptions
+            return expandCollapseUtilities.collapseGivenNodes(
+              eles,
+              tempOptions
+            );
+          }
         );
-
-        return result;
       };
 
       // collapse given eles recursively extend options with given param
-      api.collapseRecursively = async function (_eles, opts) {
-        var eles = this.collapsibleNodes(_eles);
+      operations.collapseRecursively = async function (_eles, opts) {
+        _eles = getEles(_eles);
+        var eles = api.collapsibleNodes(_eles);
         var options = getScratch(cy, "options");
         var tempOptions = extendOptions(options, opts);
         evalOptions(tempOptions);
-        var result = await this.collapse(
+        var result = await operations.collapse(
           eles.union(eles.descendants()),
           tempOptions
         );
+        result.skipped = getSkippedOrVetoedNodes(
+          _eles,
+          eles,
+          api.isCollapsible.bind(api),
+          "not-collapsible"
+        );
 
         return result;
       };
 
       // expand given eles extend options with given param
-      api.expand = async function (_eles, opts) {
-        var eles = this.expandableNodes(_eles);
+      operations.expand = async function (_eles, opts) {
+        _eles = getEles(_eles);
+        var eles = api.expandableNodes(_eles);
         var options = getScratch(cy, "options");
         var tempOptions = extendOptions(options, opts);
         evalOptions(tempOptions);
 
-        var hasGroupNodes = !!cy
-          .nodes()
-          .some((node) => node.data().type === "group");
-
-        if (hasGroupNodes && tempOptions?.groupLayoutBy?.name !== "dagre") {
-          await supportExpand(eles);
-        }
+        eles = eles.not(await getNodesVetoedBeforeExpand(eles, tempOptions));
+        await expandCollapseUtilities.loadMissingChildren(eles, tempOptions);
+
+        return performNodeOperation(
+          getSkippedOrVetoedNodes(
+            _eles,
+            eles,
+            api.isExpandable.bind(api),
+            "not-expandable"
+          ),
+          async function () {
+            if (
+              hasGroupNodes(cy) &&
+              tempOptions?.groupLayoutBy?.name !== "dagre"
+            ) {
+              await supportExpand(eles);
+            }
 
-        setScratch(cy, "tempOptions", tempOptions);
+            setScratch(cy, "tempOptions", tempOptions);
 
-        const result = await expandCollapseUtilities.expandGivenNodes(
-          eles,
-          tempOptions
+            return expandCollapseUtilities.expandGivenNodes(eles, tempOptions);
+          }
         );
-
-        return result;
       };
 
       // expand given eles recusively extend options with given param
-      api.expandRecursively = async function (eles, opts) {
+      operations.expandRecursively = async function (_eles, opts) {
+        _eles = getEles(_eles);
         var options = getScratch(cy, "options");
         var tempOptions = extendOptions(options, opts);
         evalOptions(tempOptions);
 
-        var hasGroupNodes = !!cy
-          .nodes()
-          .some((node) => node.data().type === "group");
-
-        if (hasGroupNodes && tempOptions?.groupLayoutBy?.name !== "dagre") {
-          await supportExpandRecursively(eles);
+        var vetoed = _eles
+          ? await getNodesVetoedBeforeExpand(
+              api.expandableNodes(_eles),
+              tempOptions
+            )
+          : cy.collection();
+        var eles = _eles?.not(vetoed);
+        if (eles) {
+          await expandCollapseUtilities.loadMissingChildren(eles, tempOptions);
         }
 
-        setScratch(cy, "tempOptions", tempOptions);
+        var result = await performNodeOperation([], async function () {
+          setScratch(cy, "tempOptions", tempOptions);
+
+          // the nested nodes are vetoed and loaded as they are reached, so the support instance is laid out
+          // afterwards, in sync with the nodes actually expanded
+          var expandedStack =
+            await expandCollapseUtilities.simpleExpandAllNodes(
+              eles,
+              tempOptions.fisheye,
+              tempOptions.avoidExpandingClusters,
+              eles
+            );
+          if (
+            hasGroupNodes(cy) &&
+            tempOptions?.groupLayoutBy?.name !== "dagre"
+          ) {
+            await supportEndOperation(getSupportCy(cy));
+          }
+          await expandCollapseUtilities.endOperation(eles);
+          return cy.collection(expandedStack);
+        });
 
-        const result = await expandCollapseUtilities.expandAllNodes(
-          eles,
-          tempOptions
-        );
+        // given nodes neither expanded themselves nor containing expanded nodes
+        // the ones still expandable were either vetoed or left collapsed as clusters
+        var skipped = (_eles ?? cy.collection()).filter(function (node) {
+          return (
+            !result.nodes.contains(node) &&
+            node.descendants().intersection(result.nodes).empty()
+          );
+        });
+        result.skipped = skipped.map(function (node) {
+          var reason = "not-expandable";
+          if (
+            vetoed.contains(node) ||
+            (api.isExpandable(node) && !expandCollapseUtilities.canExpand(node))
+          ) {
+            reason = "vetoed";
+          } else if (api.isExpandable(node)) {
+            reason = "cluster";
+          }
+          return { node: node, reason: reason };
+        });
 
         return result;
       };
@@ -315,13 +552,13 @@
       // Core functions
 
       // collapse all collapsible nodes
-      api.collapseAll = async function (opts) {
+      operations.collapseAll = async function (opts) {
         var options = getScratch(cy, "options");
         var tempOptions = extendOptions(options, opts);
         evalOptions(tempOptions);
 
-        var result = await this.collapseRecursively(
-          this.collapsibleNodes(),
+        var result = await operations.collapseRecursively(
+          api.collapsibleNodes(),
           tempOptions
         );
 
@@ -329,24 +566,474 @@
       };
 
       // expand all expandable nodes
-      api.expandAll = async function (opts) {
+      operations.expandAll = async function (opts) {
         var options = getScratch(cy, "options");
         var tempOptions = extendOptions(options, opts);
         evalOptions(tempOptions);
 
         setScratch(cy, "tempOptions", tempOptions);
 
-        const result = await this.expandRecursively(
-          this.expandableNodes(),
+        const result = await operations.expandRecursively(
+          api.expandableNodes(),
           tempOptions
         );
 
         return result;
       };
 
-      api.savePositionsWithAllGroupsExpanded = async function () {
+      // returns the group level of each node of the graph by id, level 1 being the root level as in group layouts
+      function getNodeLevels() {
+        var levels = {};
+        getNodesByGroupLevels(cy).forEach(function (groupLevel) {
+          groupLevel.items.forEach(function (nodes) {
+            nodes.forEach(function (node) {
+              levels[node.id()] = groupLevel.level;
+            });
+          });
+        });
+        return levels;
+      }
+
+      /*
+       * Expands the nodes returned by getNodesToExpand in rounds, as expanding nodes reveals collapsed ones,
+       * until it returns no new nodes. The layout is performed once at the end if anything was expanded. Resolves to the expanded nodes.
+       */
+      async function expandInRounds(getNodesToExpand, tempOptions) {
+        var useSupport =
+          hasGroupNodes(cy) && tempOptions?.groupLayoutBy?.name !== "dagre";
+        var attempted = cy.collection();
+        var expanded = cy.collection();
+
+        setScratch(cy, "tempOptions", tempOptions);
+
+        var eles = getNodesToExpand();
+        while (eles.nonempty()) {
+          attempted = attempted.union(eles);
+          eles = eles.not(await getNodesVetoedBeforeExpand(eles, tempOptions));
+          await expandCollapseUtilities.loadMissingChildren(eles, tempOptions);
+
+          if (useSupport) {
+            await supportExpand(eles, true);
+          }
+          await expandCollapseUtilities.simpleExpandGivenNodes(eles, false);
+
+          expanded = expanded.union(eles);
+          eles = getNodesToExpand().not(attempted);
+        }
+
+        // the layout is left as it is if nothing was expanded
+        if (expanded.nonempty()) {
+          if (useSupport) {
+            await supportEndOperation(getSupportCy(cy));
+          }
+          await expandCollapseUtilities.endOperation(expanded);
+        }
+
+        return expanded;
+      }
+
+      // expand the collapsed nodes above the given level so that the nodes up to that level are shown
+      operations.expandToLevel = async function (level, opts) {
+        var options = getScratch(cy, "options");
+        var tempOptions = extendOptions(options, opts);
+        evalOptions(tempOptions);
+
+        return performNodeOperation([], function () {
+          return expandInRounds(function () {
+            var levels = getNodeLevels();
+            return api.expandableNodes().filter(function (node) {
+              return levels[node.id()] < level;
+            });
+          }, tempOptions);
+        });
+      };
+
+      // collapse the nodes on and below the given level so that no node below that level is shown
+      operations.collapseBelowLevel = async function (level, opts) {
+        var levels = getNodeLevels();
+        var eles = api.collapsibleNodes().filter(function (node) {
+          return levels[node.id()] >= level;
+        });
+
+        return operations.collapse(eles, opts);
+      };
+
+      // expand the given node and its collapsed descendants so that the given number of levels below it are shown
+      operations.expandDepth = async function (node, depth, opts) {
+        node = getEles(node);
+        var options = getScratch(cy, "options");
+        var tempOptions = extendOptions(options, opts);
+        evalOptions(tempOptions);
+
+        return performNodeOperation([], function () {
+          return expandInRounds(function () {
+            var levels = getNodeLevels();
+            var maxLevel = levels[node.id()] + depth;
+            return api
+              .expandableNodes(node.union(node.descendants()))
+              .filter(function (ele) {
+                return levels[ele.id()] < maxLevel;
+              });
+          }, tempOptions);
+        });
+      };
+
+      // collapse and expand the group nodes whose semantic zoom threshold is crossed by the current zoom level
+      // or that the viewport policy changes
+      operations.applySemanticZoom = async function (opts) {
+        var options = getScratch(cy, "options");
+        var tempOptions = extendOptions(
+          extendOptions(options, {
+            animate: false,
+            fisheye: false,
+            allowReArrangeLayout: !!options.semanticZoomLayout,
+          }),
+          opts
+        );
+        evalOptions(tempOptions);
+
+        // returns the group nodes among the given ones to be collapsed, or to be expanded, in the current viewport
+        function getNodesToChange(nodes, toCollapse) {
+          var levels = getNodeLevels();
+          return nodes.filter(function (node) {
+            return (
+              isGroupNode(node) &&
+              semanticZoom.isToBeChanged(node, levels[node.id()], toCollapse)
+            );
+          });
+        }
+
+        var nodesToCollapse = getNodesToChange(api.collapsibleNodes(), true);
+        var nodesToExpand = getNodesToChange(api.expandableNodes(), false);
+
+        return performNodeOperation([], async function () {
+          var changed = cy.collection();
+          if (nodesToCollapse.nonempty()) {
+            // the layout is performed once, after the expansion if there is one
+            var collapseResult = await operations.collapse(
+              nodesToCollapse,
+              nodesToExpand.nonempty()
+                ? extendOptions(tempOptions, { allowReArrangeLayout: false })
+                : tempOptions
+            );
+            changed = changed.union(collapseResult.nodes);
+          }
+          if (nodesToExpand.nonempty()) {
+            var expanded = await expandInRounds(function () {
+              return getNodesToChange(api.expandableNodes(), false);
+            }, tempOptions);
+            // the layout left to the expansion is performed if nothing was expanded
+            if (expanded.empty() && changed.nonempty()) {
+              await expandCollapseUtilities.endOperation(changed);
+            }
+            changed = changed.union(expanded);
+          }
+          return changed;
+        });
+      };
+
+      // returns the ids of the ancestors of the node with the given id from the closest one, including the hidden ones
+      function getAncestorIds(id) {
+        var parentData = getScratch(cy, "parentData");
+        var ids = [];
+        var parent = parentData[id];
+        while (parent) {
+          ids.push(parent.id());
+          parent = parentData[parent.id()];
+        }
+
+        // the farthest hidden ancestor is in a collapsed node of the graph
+        cy.getElementById(ids.length ? ids[ids.length - 1] : id)
+          .ancestors()
+          .forEach(function (ancestor) {
+            ids.push(ancestor.id());
+          });
+        return ids;
+      }
+
+      // returns the nodes of the graph with the given ids
+      function getNodesByIds(ids) {
+        return cy.collection(
+          ids
+            .map(function (id) {
+              return cy.getElementById(id);
+            })
+            .filter(function (node) {
+              return node.nonempty();
+            })
+        );
+      }
+
+      // records the nodes expanded and collapsed by focus, leaving out the ones a later focus changed back
+      function updateFocusState(expanded, collapsed) {
+        var focusState = getScratch(cy, "focusState") ?? {
+          expanded: [],
+          collapsed: [],
+        };
+        var expandedIds = expanded.map(function (node) {
+          return node.id();
+        });
+        var collapsedIds = collapsed.map(function (node) {
+          return node.id();
+        });
+
+        setScratch(cy, "focusState", {
+          expanded: focusState.expanded
+            .filter(function (id) {
+              return !collapsedIds.includes(id);
+            })
+            .concat(
+              expandedIds.filter(function (id) {
+                return !focusState.collapsed.includes(id);
+              })
+            ),
+          collapsed: focusState.collapsed
+            .filter(function (id) {
+              return !expandedIds.includes(id);
+            })
+            .concat(
+              collapsedIds.filter(function (id) {
+                return !focusState.expanded.includes(id);
+              })
+            ),
+        });
+      }
+
+      /*
+       * Expand the collapsed ancestors of the given node, hidden ones included, collapse the groups beside its path
+       * and centre the viewport on it. Resolves to null if there is no such node.
+       */
+      operations.focus = async function (nodeIdOrEle, opts) {
+        var id =
+          typeof nodeIdOrEle === "string" ? nodeIdOrEle : nodeIdOrEle.id();
+        if (
+          cy.getElementById(id).empty() &&
+          !getScratch(cy, "parentData")[id]
+        ) {
+          return null;
+        }
+
+        var options = getScratch(cy, "options");
+        var tempOptions = extendOptions(options, opts);
+        evalOptions(tempOptions);
+        var ancestorIds = getAncestorIds(id);
+
+        var result = await performNodeOperation([], async function () {
+          // the layout is performed once, after collapsing the groups beside the path
+          var expanded = await expandInRounds(function () {
+            return api.expandableNodes(getNodesByIds(ancestorIds));
+          }, extendOptions(tempOptions, { allowReArrangeLayout: false }));
+
+          var path = cy.getElementById(id).union(getNodesByIds(ancestorIds));
+          var siblings = cy.collection();
+          path.forEach(function (node) {
+            siblings = siblings.union(
+              node.isOrphan() ? cy.nodes().orphans() : node.parent().children()
+            );
+          });
+          var collapseResult = await operations.collapse(
+            api.collapsibleNodes(siblings.not(path)).filter(function (node) {
+              return isGroupNode(node);
+            }),
+            tempOptions
+          );
+
+          updateFocusState(expanded, collapseResult.nodes);
+          return expanded.union(collapseResult.nodes);
+        });
+
+        var target = cy.getElementById(id);
+        if (tempOptions.animate) {
+          await cy
+            .animate(
+              { center: { eles: target } },
+              { duration: tempOptions.animationDuration }
+            )
+            .promise();
+        } else {
+          cy.center(target);
+        }
+
+        return result;
+      };
+
+      // restore the expand/collapse state changed by focus. Resolves to null if nothing is focused
+      operations.unfocus = async function (opts) {
+        var focusState = getScratch(cy, "focusState");
+        if (!focusState) {
+          return null;
+        }
+        setScratch(cy, "focusState", null);
+
+        var options = getScratch(cy, "options");
+        var tempOptions = extendOptions(options, opts);
+        evalOptions(tempOptions);
+        var nodesToExpand = api.expandableNodes(
+          getNodesByIds(focusState.collapsed)
+        );
+        var nodesToCollapse = api.collapsibleNodes(
+          getNodesByIds(focusState.expanded)
+        );
+
+        return performNodeOperation([], async function () {
+          var expanded = cy.collection();
+          if (nodesToExpand.nonempty()) {
+            var expandResult = await operations.expand(
+              nodesToExpand,
+              extendOptions(tempOptions, { allowReArrangeLayout: false })
+            );
+            expanded = expandResult.nodes;
+          }
+          var collapseResult = await operations.collapse(
+            nodesToCollapse,
+            tempOptions
+          );
+          return expanded.union(collapseResult.nodes);
+        });
+      };
+
+      // expand exactly the collapsed nodes hiding the given element or the element with the given id
+      operations.reveal = async function (eleOrId, opts) {
+        var id = typeof eleOrId === "string" ? eleOrId : eleOrId.id();
+        var match = api.findHidden(function (ele) {
+          return ele.id() === id;
+        })[0];
+        if (!match) {
+          return null;
+        }
+
+        var options = getScratch(cy, "options");
+        var tempOptions = extendOptions(options, opts);
+        evalOptions(tempOptions);
+        var collapsedAncestorIds = match.collapsedAncestors.map(function (
+          node
+        ) {
+          return node.id();
+        });
+
+        return performNodeOperation([], function () {
+          return expandInRounds(function () {
+            return api.expandableNodes(getNodesByIds(collapsedAncestorIds));
+          }, tempOptions);
+        });
+      };
+
+      // returns the element with the given id, in the graph or hidden inside a collapsed node, null if there is none
+      function getElementIncludingHidden(id) {
+        var ele = cy.getElementById(id);
+        if (ele.nonempty()) {
+          return ele;
+        }
+        var found = expandCollapseUtilities.findCollapsedChain(id);
+        return found
+          ? found.childrenInChain[
+              found.childrenInChain.length - 1
+            ].getElementById(id)
+          : null;
+      }
+
+      // returns whether the given data gives the given element another parent, or other ends than its original ones
+      function isMoved(ele, data) {
+        if (ele.isNode()) {
+          return (
+            "parent" in data &&
+            (data.parent ?? null) !== (ele.data("parent") ?? null)
+          );
+        }
+        var originalEnds = ele.data("originalEnds");
+        return ["source", "target"].some(function (end) {
+          return (
+            end in data &&
+            data[end] !== (originalEnds?.[end].id() ?? ele.data(end))
+          );
+        });
+      }
+
+      /*
+       * Apply the given diff { added, removed, changed } keeping the collapsed nodes as they are: elements are added
+       * and removed inside the collapsed nodes hiding them and changed elements may be hidden. The layout is
+       * rearranged only if the layout option is set. Resolves to { added, removed, changed, skipped }, skipped
+       * holding the removed and changed entries left out as { entry, reason }, the reason being "invalid",
+       * "not-found" or "moved".
+       */
+      operations.applyDiff = async function (diff, opts) {
+        var options = getScratch(cy, "options");
+        var tempOptions = extendOptions(options, opts);
+        evalOptions(tempOptions);
+
+        var skipped = [];
+        var removed = cy.collection();
+        (diff.removed ?? []).forEach(function (entry) {
+          var id =
+            typeof entry === "string"
+              ? entry
+              : typeof entry?.id === "function"
+              ? entry.id()
+              : entry?.data?.id;
+          if (id == null) {
+            skipped.push({ entry: entry, reason: "invalid" });
+            return;
+          }
+          var removedElements = api.removeHiddenElements([id]);
+          if (removedElements.empty()) {
+            skipped.push({ entry: entry, reason: "not-found" });
+          }
+          removed = removed.union(removedElements);
+        });
+
+        var changed = cy.collection();
+        (diff.changed ?? []).forEach(function (entry) {
+          var { id, parent, source, target, ...data } = entry?.data ?? {};
+          if (id == null) {
+            skipped.push({ entry: entry, reason: "invalid" });
+            return;
+          }
+          var ele = getElementIncludingHidden(id);
+          if (!ele) {
+            skipped.push({ entry: entry, reason: "not-found" });
+            return;
+          }
+          // moving an element is a removal and an addition, as it changes the meta-edges
+          if (isMoved(ele, entry.data)) {
+            skipped.push({ entry: entry, reason: "moved" });
+            return;
+          }
+          changed = changed.union(
+            api.updateHiddenElement(id, {
+              data: data,
+              classes: entry.classes,
+              style: entry.style,
+            })
+          );
+        });
+
+        var added = api.addHiddenElements(diff.added ?? []);
+
+        if (opts?.layout) {
+          var useSupport =
+            hasGroupNodes(cy) && tempOptions?.groupLayoutBy?.name !== "dagre";
+          setScratch(cy, "tempOptions", tempOptions);
+          if (useSupport) {
+            await supportEndOperation(getSupportCy(cy));
+          }
+          await expandCollapseUtilities.endOperation(
+            added.nodes().filter(function (node) {
+              return node.inside();
+            })
+          );
+        }
+
+        return {
+          added: added,
+          removed: removed,
+          changed: changed,
+          skipped: skipped,
+        };
+      };
+
+      operations.savePositionsWithAllGroupsExpanded = async function () {
         var groupNodes = cy.nodes().filter((node) => {
-          return node.data().type === "group";
+          return isGroupNode(node);
         });
 
         if (groupNodes.length) {
@@ -366,6 +1053,16 @@
 
       // Utility functions
 
+      // pin the given nodes, they are never collapsed or expanded by the semantic zoom or the viewport policy
+      api.pin = function (nodes) {
+        nodes.addClass("cy-expand-collapse-pinned");
+      };
+
+      // unpin the given nodes
+      api.unpin = function (nodes) {
+        nodes.removeClass("cy-expand-collapse-pinned");
+      };
+
       // returns if the given node is expandable
       api.isExpandable = function (node) {
         return node.hasClass("cy-expand-collapse-collapsed-node");
@@ -376,7 +1073,7 @@
         return !this.isExpandable(node) && node.isParent();
       };
 
-      // get collapsible ones inside given nodes if nodes parameter is not specified consider all nodes
+      // get collapsible ones inside given nodes, allowed by the canCollapse option, if nodes parameter is not specified consider all nodes
       api.collapsibleNodes = function (_nodes) {
         var self = this;
         var nodes = _nodes ? _nodes : cy.nodes();
@@ -384,11 +1081,13 @@
           if (typeof ele === "number") {
             ele = i;
           }
-          return self.isCollapsible(ele);
+          return (
+            self.isCollapsible(ele) && expandCollapseUtilities.canCollapse(ele)
+          );
         });
       };
 
-      // get expandable ones inside given nodes if nodes parameter is not specified consider all nodes
+      // get expandable ones inside given nodes, allowed by the canExpand option, if nodes parameter is not specified consider all nodes
       api.expandableNodes = function (_nodes) {
         var self = this;
         var nodes = _nodes ? _nodes : cy.nodes();
@@ -396,13 +1095,15 @@
           if (typeof ele === "number") {
             ele = i;
           }
-          return self.isExpandable(ele);
+          return (
+            self.isExpandable(ele) && expandCollapseUtilities.canExpand(ele)
+          );
         });
       };
 
       // Get the children of the given collapsed node which are removed during collapse operation
       api.getCollapsedChildren = function (node) {
-        return node.data("collapsedChildren");
+        return expandCollapseUtilities.getCollapsedChildren(node);
       };
 
       /** Get collapsed children recursively including nested collapsed children
@@ -433,6 +1134,74 @@
         }
         return collapsedChildren;
       };
+      // evaluate the aggregate option again for the given collapsed nodes, all collapsed nodes if not specified
+      api.updateAggregates = function (nodes) {
+        var self = this;
+        (nodes || cy.nodes()).forEach(function (node) {
+          if (self.isExpandable(node)) {
+            expandCollapseUtilities.updateAggregates(node);
+          }
+        });
+      };
+      /*
+       * Apply the given changes, { data, classes, addClass, removeClass, style }, to the element with the given id, even if it is hidden
+       * inside collapsed nodes. The aggregates and the status classes of the collapsed nodes hiding it are updated.
+       * Returns the element, null if there is no such element.
+       */
+      api.updateHiddenElement = function (id, changes) {
+        var update = function (ele) {
+          if (changes.data) {
+            ele.data(changes.data);
+          }
+          if (changes.classes !== undefined) {
+            ele.classes(changes.classes);
+          }
+          if (changes.addClass) {
+            ele.addClass(changes.addClass);
+          }
+          if (changes.removeClass) {
+            ele.removeClass(changes.removeClass);
+          }
+          if (changes.style) {
+            ele.style(changes.style);
+          }
+        };
+
+        var ele = cy.getElementById(id);
+        if (ele.nonempty()) {
+          update(ele);
+          return ele;
+        }
+        return expandCollapseUtilities.updateHiddenElement(id, update);
+      };
+      /*
+       * Add the given elements, inside the collapsed nodes hiding their parent or ends if any, edges connected to hidden
+       * nodes becoming meta-edges. Returns the added elements.
+       */
+      api.addHiddenElements = function (elements) {
+        var jsons =
+          typeof elements.jsons === "function" ? elements.jsons() : elements;
+        return expandCollapseUtilities.addHiddenElements(jsons);
+      };
+
+      /*
+       * Remove the elements with the given ids, even if they are hidden inside collapsed nodes. Hidden nodes are removed
+       * with their descendants and connected edges. Returns the removed elements.
+       */
+      api.removeHiddenElements = function (ids) {
+        var removed = cy.collection();
+        [].concat(ids).forEach(function (id) {
+          var ele = cy.getElementById(id);
+          if (ele.nonempty()) {
+            removed = removed.union(ele.remove());
+          } else {
+            removed = removed.union(
+              expandCollapseUtilities.removeHiddenElement(id) ?? cy.collection()
+            );
+          }
+        });
+        return removed;
+      };
       // This method forces the visual cue to be cleared. It is to be called in extreme cases
       api.clearVisualCue = function (node) {
         cy.trigger("expandcollapse.clearvisualcue");
@@ -441,16 +1210,14 @@
       api.disableCue = function () {
         var options = getScratch(cy, "options");
         if (options.cueEnabled) {
-          cueUtilities("unbind", cy, api);
-          options.cueEnabled = false;
+          handleNewOptions(Object.assign({}, options, { cueEnabled: false }));
         }
       };
 
       api.enableCue = function () {
         var options = getScratch(cy, "options");
         if (!options.cueEnabled) {
-          cueUtilities("rebind", cy, api);
-          options.cueEnabled = true;
+          handleNewOptions(Object.assign({}, options, { cueEnabled: true }));
         }
       };
 
@@ -463,12 +1230,55 @@
         }
       };
 
+      /*
+       * Find the elements matching the given selector or predicate in the graph and, recursively, in the collapsed children.
+       * Each match is returned as { element, collapsedAncestors }, collapsedAncestors being the collapsed nodes hiding
+       * the element from the outermost one, empty for the elements in the graph.
+       */
+      api.findHidden = function (selectorOrPredicate) {
+        var matches = [];
+        var search = function (eles, collapsedAncestors) {
+          eles.forEach(function (ele) {
+            var isMatch =
+              typeof selectorOrPredicate === "function"
+                ? selectorOrPredicate(ele)
+                : ele.is(selectorOrPredicate);
+            if (isMatch) {
+              matches.push({
+                element: ele,
+                collapsedAncestors: collapsedAncestors,
+              });
+            }
+            if (
+              ele.isNode() &&
+              expandCollapseUtilities.hasCollapsedChildren(ele)
+            ) {
+              search(
+                expandCollapseUtilities.getCollapsedChildren(ele),
+                collapsedAncestors.concat([ele])
+              );
+            }
+          });
+        };
+
+        search(cy.elements(), []);
+        return matches;
+      };
+
       api.collapseEdges = function (edges, opts) {
         var result = { edges: cy.collection(), oldEdges: cy.collection() };
         if (edges.length < 2) return result;
-        if (!isOnly1Pair(edges)) return result;
         var options = getScratch(cy, "options");
         var tempOptions = extendOptions(options, opts);
+        if (!isOnly1Pair(edges)) {
+          var center = tempOptions.fanEdgeCollapse ? getFanCenter(edges) : null;
+          if (!center) return result;
+          return expandCollapseUtilities.collapseFanEdges(
+            edges,
+            center,
+            tempOptions
+          );
+        }
         return expandCollapseUtilities.collapseGivenEdges(edges, tempOptions);
       };
 
@@ -596,22 +1406,20 @@
       };
 
       // api for cluster operations
-      api.updateCluster = async function (
+      operations.updateCluster = async function (
         cluster,
         clusterColorClassesPriorities,
         opts = {}
       ) {
-        await this.expand(cluster, {
+        await operations.expand(cluster, {
           ...opts,
           allowReArrangeLayout: false,
         });
-        await this.collapse(cluster, opts);
+        await operations.collapse(cluster, opts);
 
-        var collapsedChildren = this.getCollapsedChildren(cluster);
+        var collapsedChildren = api.getCollapsedChildren(cluster);
         var defaultNodesCount = collapsedChildren
-          ? collapsedChildren.filter(
-              (child) => child.data("type") === "default"
-            ).length
+          ? collapsedChildren.filter((child) => isLeafNode(child)).length
           : "0";
         if (String(defaultNodesCount) === "0") {
           cluster.style({ display: "none" });
@@ -624,7 +1432,7 @@
           var clusterColorClass = clusterColorClassesPriorities?.find(
             (colorClass) => {
               return collapsedChildren
-                ?.filter((child) => child.data("type") === "default")
+                ?.filter((child) => isLeafNode(child))
                 ?.find((node) => [...node?.classes()]?.includes(colorClass));
             }
           );
@@ -642,14 +1450,14 @@
         updateClusterNodeColor();
       };
 
-      api.expandCluster = async function (
+      operations.expandCluster = async function (
         nodeIds,
         clusterId,
         clusterColorClassesPriorities,
         opts
       ) {
         var cluster = cy.getElementById(clusterId);
-        var collapsedChildren = this.getCollapsedChildren(cluster);
+        var collapsedChildren = api.getCollapsedChildren(cluster);
 
         nodeIds.forEach((nodeId) => {
           var targetNode = collapsedChildren.find(
@@ -659,10 +1467,14 @@
           targetNode.move({ parent: cluster.data("parent") ?? null });
         });
 
-        await this.updateCluster(cluster, clusterColorClassesPriorities, opts);
+        await operations.updateCluster(
+          cluster,
+          clusterColorClassesPriorities,
+          opts
+        );
       };
 
-      api.collapseCluster = async function (
+      operations.collapseCluster = async function (
         nodeIds,
         clusterId,
         clusterColorClassesPriorities,
@@ -675,7 +1487,59 @@
           node.move({ parent: clusterId });
         });
 
-        await this.updateCluster(cluster, clusterColorClassesPriorities, opts);
+        await operations.updateCluster(
+          cluster,
+          clusterColorClassesPriorities,
+          opts
+        );
+      };
+
+      // Serialize the operations through the queue, operations calling each other do it directly
+      Object.keys(QUEUED_OPERATIONS).forEach(function (name) {
+        api[name] = function () {
+          var args = arguments;
+          var opts = args[QUEUED_OPERATIONS[name]];
+          return queue.enqueue(
+            name,
+            async function (operationId) {
+              var payload = {
+                operationId: operationId,
+                name: name,
+                options: extendOptions(getScratch(cy, "options"), opts),
+              };
+              var result;
+              // an operation performed as part of another one gives the state of the other one back
+              var isNested = queue.isNested();
+              var previousOperation = getScratch(cy, "operation") ?? null;
+              var previousTempOptions = getScratch(cy, "tempOptions");
+              setScratch(cy, "operation", { id: operationId, name: name });
+              cy.trigger("expandcollapse.operationstart", [payload]);
+              try {
+                result = await operations[name].apply(api, args);
+                return result;
+              } finally {
+                setScratch(cy, "operation", previousOperation);
+                if (isNested) {
+                  setScratch(cy, "tempOptions", previousTempOptions);
+                }
+                cy.trigger("expandcollapse.operationend", [
+                  Object.assign({}, payload, { result: result }),
+                ]);
+              }
+            },
+            opts?.supersede
+          );
+        };
+      });
+
+      // returns whether an expand/collapse operation is running or pending
+      api.isBusy = function () {
+        return queue.isBusy();
+      };
+
+      // cancels the pending expand/collapse operations, they resolve to undefined. The running operation is completed.
+      api.cancelPendingOperations = function () {
+        return queue.cancelPending();
       };
 
       return api; // Return the API instance
@@ -701,12 +1565,15 @@
     cytoscape("core", "expandCollapse", function (opts) {
       var cy = this;
 
-      // Create Support-Map Container
+      // Create Support-Map Container unless the support instance is headless
       // Select the element with the class name "map __________cytoscape_container"
-      var targetElement = document.querySelector(
-        ".map.__________cytoscape_container"
-      );
-      var supportMapElement = document.getElementById(opts?.supportMapId);
+      var hasDocument = typeof document !== "undefined";
+      var targetElement =
+        hasDocument && opts && opts !== "get" && !opts.supportHeadless
+          ? document.querySelector(".map.__________cytoscape_container")
+          : null;
+      var supportMapElement =
+        targetElement && document.getElementById(opts?.supportMapId);
 
       if (targetElement && !supportMapElement) {
         // Create a new div element
@@ -742,23 +1609,53 @@
         expandCueImage: undefined, // image of expand icon if undefined draw regular expand cue
         collapseCueImage: undefined, // image of collapse icon if undefined draw regular collapse cue
         expandCollapseCueSensitivity: 1, // sensitivity of expand-collapse cues
+        edgeCueEnabled: false, // whether to draw cues on collapsed edges showing the number of edges collapsed into them, tapping them expands or collapses edges, independently of cueEnabled
 
         edgeTypeInfo: "edgeType", //the name of the field that has the edge type, retrieved from edge.data(), can be a function
         groupEdgesOfSameTypeOnCollapse: false,
+        fanEdgeCollapse: false, // whether collapseEdges collapses edges sharing a single end node into an edge to a junction node connected to their other ends
+        collapsedEdgeId: null, // function(edges, type) returning the id of the edge collapsing the given edges, derived from the ids of the edges by default
+        autoCollapseEdges: false, // whether to collapse the parallel edges between a collapsed node and its neighbours after collapse, and expand them again on expand
+        bundleMetaEdges: false, // whether to merge the parallel meta-edges of a collapsed node into one bundle per source, target and type
+        metaEdgeAggregate: null, // map of data field to reducer, like the aggregate option, evaluated over the original edges of a bundle
         allowNestedEdgeCollapse: true,
         zIndex: 999, // z-index value of the canvas in which cue ımages are drawn
         layoutHandler: function () {}, // layout function to be called after expand/collapse
         allowReArrangeLayout: true, // whether to rearrange layout after expand/collapse
-        customLayout: false, // whether to use custom layout
+        customLayout: false, // whether to use custom layout, lays out the third group level left to right when layoutByLevel is not set
+        layoutByLevel: null, // layout options per group level, a map of level to options or a function (level, parentNode) returning them
+        canCollapse: null, // function(node) returning whether the node can be collapsed
+        canExpand: null, // function(node) returning whether the node can be expanded
+        beforeExpand: null, // async function(node) called before the node is expanded, resolving to false or rejecting cancels its expansion
+        loadChildren: null, // async function(node) resolving to the elements to expand a collapsed node without collapsed children into
+        unloadCollapsedChildren: false, // whether to keep collapsed children as JSON instead of elements, or a store { save(node, json), load(node) } keeping the JSON
+        semanticZoom: false, // whether to collapse and expand group nodes automatically as the zoom level crosses their thresholds
+        semanticZoomThresholds: null, // zoom levels below which group nodes are collapsed, a map of group level to zoom level or a function (node, level) returning it
+        semanticZoomDelay: 250, // delay in ms after the last zoom event before applying the semantic zoom
+        semanticZoomLayout: false, // whether to rearrange the layout after the semantic zoom, keeps the viewport still when false
+        viewportPolicy: false, // whether to expand collapsed groups filling the viewport and collapse groups too small on screen
+        viewportExpandRatio: 0.5, // share of the viewport covered by a collapsed group, at its size before collapse, for it to be expanded
+        viewportCollapseSize: 40, // rendered size in px below which a group is collapsed
+        aggregate: null, // map of data field to reducer ("sum", "max", "min", "count", "worst-status", { field, reduce } or function (leaves, node)) written onto collapsed nodes
+        aggregateStatusOrder: null, // statuses from the best to the worst for the "worst-status" reducer, defaults to ["ok", "warning", "error"]
+        statusClassPriorities: null, // classes propagated from hidden nodes to their collapsed ancestors, the first one found in this order
         shouldSaveFinalPositions: false, // whether to save final positions of all nodes; when all groups are expanded
         avoidExpandingClusters: true, // whether to include clusters in the expandAll operation
         supportMapId: "",
+        supportHeadless: false, // whether to create the support instance without a DOM container
+        supportCyFactory: null, // function creating the support instance from cytoscape options, defaults to cytoscape itself
+        isGroupNode: null, // function (node) telling whether a node is a group node, defaults to data("type") === "group"
+        isClusterNode: null, // function (node) telling whether a node is a cluster node, defaults to data("type") === "cluster"
+        isLeafNode: null, // function (node) telling whether a node is counted in clusters, defaults to data("type") === "default"
       };
 
       // If opts is not 'get' that is it is a real options object then initilize the extension
       if (opts !== "get") {
         options = extendOptions(options, opts);
 
+        // the support instance is created with the previous options, drop it
+        disposeSupportCy(cy);
+
         var expandCollapseUtilities = require("./expandCollapseUtilities")(cy);
         var api = createExtensionAPI(cy, expandCollapseUtilities); // creates and returns the API instance for the extension
         saveLoadUtils = require("./saveLoadUtilities")(cy, api);
@@ -766,11 +1663,14 @@
 
         undoRedoUtilities(cy, api);
 
-        cueUtilities(options, cy, api);
+        // cues are drawn on a canvas so they need a container
+        if (cy.container()) {
+          cueUtilities(options, cy, api);
 
-        // if the cue is not enabled unbind cue events
-        if (!options.cueEnabled) {
-          cueUtilities("unbind", cy, api);
+          // if neither the cues of nodes nor the cues of edges are enabled unbind cue events
+          if (!options.cueEnabled && !options.edgeCueEnabled) {
+            cueUtilities("unbind", cy, api);
+          }
         }
 
         if (options.ready) {
@@ -779,6 +1679,8 @@
 
         setScratch(cy, "options", options);
 
+        getScratch(cy, "semanticZoom").bind();
+
         var parentData = {};
         setScratch(cy, "parentData", parentData);
       }
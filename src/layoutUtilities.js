@@ -1,5 +1,9 @@
-const getSupportCy = require("./getSupportCy");
+const { getSupportCy } = require("./getSupportCy");
 const { repairEdges } = require("./edgeUtilities");
+const {
+  POSITIONING_SUPPORT_TYPE,
+  isGroupNode,
+} = require("./nodeTypeUtilities");
 
 /**
  * Runs the given layout asynchronously and returns a promise that resolves when the layout stops.
@@ -14,20 +18,58 @@ function runLayoutAsync(layout) {
   });
 }
 
+// Layout options of the third group level when the legacy `customLayout` option is set
+const CUSTOM_LAYOUT_LEVEL_OPTIONS = { rankDir: "LR", nodeSep: 10, rankSep: 10 };
+
+/**
+ * Resolves the layout options configured for a group level.
+ *
+ * @param {Object|Function} layoutByLevel - A map of group level to layout options, or a function of the group level and the parent group node returning them.
+ * @param {boolean} customLayout - The legacy flag laying out the third group level left to right, used when `layoutByLevel` is not set.
+ * @param {number} groupLevel - The group level, 1 being the root level.
+ * @param {Object} [parentNode] - The group node whose children are laid out, undefined on the root level.
+ * @returns {Object} The layout options overriding the default ones on that level.
+ */
+function getLevelLayoutOptions(
+  layoutByLevel,
+  customLayout,
+  groupLevel,
+  parentNode
+) {
+  if (typeof layoutByLevel === "function") {
+    return layoutByLevel(groupLevel, parentNode) ?? {};
+  }
+  if (layoutByLevel) {
+    return layoutByLevel[groupLevel] ?? {};
+  }
+  return customLayout && groupLevel === 3 ? CUSTOM_LAYOUT_LEVEL_OPTIONS : {};
+}
+
+/**
+ * Returns the parent group node shared by the nodes of a group level item.
+ *
+ * @param {Array} nodes - The nodes of a group level item, all having the same parent.
+ * @returns {Object|undefined} The parent node, undefined on the root level.
+ */
+function getGroupLevelParent(nodes) {
+  const parent = nodes[0]?.parent();
+  return parent?.nonempty() ? parent : undefined;
+}
+
 /**
  * Generates layout options based on the provided parameters.
  *
  * @param {Object} layoutBy - The default layout configuration.
  * @param {Object} groupLayoutBy - The layout configuration for group nodes.
  * @param {boolean} isAnyNodeGroup - A flag indicating if any node is part of a group.
+ * @param {Object} levelLayoutOptions - The layout options configured for the group level, see getLevelLayoutOptions.
  * @returns {Object} The computed layout options.
  */
 function getLayoutOptions(
   layoutBy,
   groupLayoutBy,
   isAnyNodeGroup,
-  groupLevel,
-  customLayout
+  levelLayoutOptions
 ) {
   let layoutOptions;
   if (groupLayoutBy && isAnyNodeGroup) {
@@ -51,9 +93,8 @@ function getLayoutOptions(
   }
   return {
     ...layoutOptions,
-    rankDir: customLayout && groupLevel === 3 ? "LR" : "TB",
-    nodeSep: customLayout && groupLevel === 3 ? 10 : layoutOptions.nodeSep,
-    rankSep: customLayout && groupLevel === 3 ? 10 : layoutOptions.rankSep,
+    rankDir: layoutOptions.rankDir ?? "TB",
+    ...levelLayoutOptions,
   };
 }
 
@@ -107,23 +148,23 @@ async function handleLayoutWithoutGroups(cy, expandCollapseOptions) {
     finalPositions
   );
   await runLayoutAsync(cy.layout(presetLayout));
-  supportCy.destroy();
 }
 
 /**
- * Handles the layout for group nodes using a preset layout.
+ * Handles the layout for group nodes using a preset layout, placing the nodes where the support instance laid them out.
  *
  * @param {object} cy - The Cytoscape instance.
  * @param {object} expandCollapseOptions - The expand/collapse extension options.
  */
 async function handleNonDagreLayoutWithGroups(cy, expandCollapseOptions) {
-  const positions = (expandCollapseOptions?.positions ?? []).reduce(
-    (acc, { nodeId, position }) => {
-      acc[nodeId] = position;
-      return acc;
-    },
-    {}
-  );
+  const supportPositions =
+    cy.scratch("_cyExpandCollapse")?.positions ??
+    expandCollapseOptions?.positions ??
+    [];
+  const positions = supportPositions.reduce((acc, { nodeId, position }) => {
+    acc[nodeId] = position;
+    return acc;
+  }, {});
 
   const presetLayout = createPresetLayoutConfig(
     expandCollapseOptions.groupLayoutBy,
@@ -147,7 +188,7 @@ async function handleDagreLayoutWithGroups(cy) {
     level.items.forEach((nodes) => {
       nodes.forEach((node) => {
         const newPosition = finalPositions[node.id()];
-        if (node.data("type") === "group" && node.isParent()) {
+        if (isGroupNode(node) && node.isParent()) {
           node.toggleClass("support-expanded", true);
           const oldPosition = node.position();
           elementUtilities.moveCompoundNode(node, oldPosition, newPosition);
@@ -165,7 +206,6 @@ async function handleDagreLayoutWithGroups(cy) {
     supportFinalPositions
   );
   await runLayoutAsync(cy.layout(presetLayout));
-  supportCy.destroy();
 }
 
 /**
@@ -242,7 +282,7 @@ function getNodesByGroupLevels(cy) {
 function getEdgeIdWithPrefix(id, parentId, cy, prefix = "support") {
   const edgeId = getEdgeOutermostId(id, parentId, cy);
   const node = cy.getElementById(edgeId);
-  if (node.data("type") === "group" && node.isParent()) {
+  if (isGroupNode(node) && node.isParent()) {
     return `${prefix} ${edgeId}`;
   }
   return edgeId;
@@ -276,7 +316,7 @@ function getEdgeOutermostId(id, parentId, cy) {
  */
 function getSupportExpandedGroupsEdges(groupLevelNodes, cy) {
   const expandedGroupNodes = groupLevelNodes.filter((node) => {
-    if (node.data("type") === "group" && node.isParent()) {
+    if (isGroupNode(node) && node.isParent()) {
       return node;
     }
   });
@@ -385,13 +425,17 @@ function getSupportNonExpandedGroupsEdges(groupLevelNodes, cy) {
  *
  * @param {Object} supportCy - The Supoort Cytoscape instance.
  * @param {Object} layoutBy - The layout options to be used for arranging the nodes.
+ * @param {Object} groupLayoutBy - The layout options to be used for arranging the levels holding group nodes.
+ * @param {boolean} customLayout - The legacy flag laying out the third group level left to right.
+ * @param {Object|Function} [layoutByLevel] - The layout options per group level, see getLevelLayoutOptions.
  * @returns {Promise<void>} A promise that resolves when the layout has been applied and nodes have been restored.
  */
 async function resolveCompoundNodesOverlap(
   supportCy,
   layoutBy,
   groupLayoutBy,
-  customLayout
+  customLayout,
+  layoutByLevel
 ) {
   const elementUtilities = require("./elementUtilities")(supportCy);
   const nodesByGroupLevels = getNodesByGroupLevels(supportCy);
@@ -405,23 +449,29 @@ async function resolveCompoundNodesOverlap(
       let groupLevelNodesEdgesCollection = supportCy.collection();
 
       const groupLevelNodesOfAGroup = nodesByGroupLevels[i].items[j];
+      const levelLayoutOptions = getLevelLayoutOptions(
+        layoutByLevel,
+        customLayout,
+        nodesByGroupLevels[i].level,
+        getGroupLevelParent(groupLevelNodesOfAGroup)
+      );
       const supportExpandedGroupsEdges = getSupportExpandedGroupsEdges(
         groupLevelNodesOfAGroup,
         supportCy
       );
       const newGroupLevelNodesOfAGroup = groupLevelNodesOfAGroup.map((node) => {
         //check if the node is expanded
-        if (node.isNode() && node.data().type === "group") {
+        if (node.isNode() && isGroupNode(node)) {
           isAnyNodeGroup = true;
         }
-        if (node.data("type") === "group" && node.isParent()) {
+        if (isGroupNode(node) && node.isParent()) {
           const positioningSupportNodeId = `support ${node.data().id}`;
           const positioningSupportNode = {
             group: "nodes",
             data: {
               id: positioningSupportNodeId,
               parent: node.data().parent,
-              type: "positioning-support",
+              type: POSITIONING_SUPPORT_TYPE,
               label: `${node.data().label}`,
             },
             style: {
@@ -486,8 +536,7 @@ async function resolveCompoundNodesOverlap(
         layoutBy,
         groupLayoutBy,
         isAnyNodeGroup,
-        nodesByGroupLevels[i].level,
-        customLayout
+        levelLayoutOptions
       );
 
       const reArrange = groupLevelNodesEdgesCollection.layout(layoutOptions);
@@ -498,7 +547,7 @@ async function resolveCompoundNodesOverlap(
 
       // Move the children of the removed nodes to their parent positions
       removedCollection.forEach((removedNode) => {
-        if (removedNode?.data("type") === "group" && removedNode?.isParent()) {
+        if (isGroupNode(removedNode) && removedNode?.isParent()) {
           const positioningSupportNode = supportCy.getElementById(
             `support ${removedNode.data().id}`
           );
@@ -517,38 +566,74 @@ async function resolveCompoundNodesOverlap(
   }
 }
 
+/**
+ * Returns the axis ranks are laid out along and the direction they follow for a dagre rank direction.
+ *
+ * @param {string} [rankDir="TB"] - The dagre rank direction, one of "TB", "BT", "LR" and "RL".
+ * @returns {{isVertical: boolean, sign: number}} Whether ranks follow the y axis, and 1 if they go towards increasing coordinates, -1 otherwise.
+ */
+function getRankDirection(rankDir = "TB") {
+  return {
+    isVertical: rankDir !== "LR" && rankDir !== "RL",
+    sign: rankDir === "BT" || rankDir === "RL" ? -1 : 1,
+  };
+}
+
+/**
+ * Returns the size of a node along or across the rank axis.
+ *
+ * @param {Object} node - The node to measure.
+ * @param {boolean} isVertical - Whether ranks follow the y axis.
+ * @param {boolean} alongRank - True for the size along the rank axis, false for the size across it.
+ * @returns {number} The width or the height of the node, or of its bounding box for group nodes.
+ */
+function getNodeRankSize(node, isVertical, alongRank) {
+  const useHeight = isVertical === alongRank;
+  if (!isGroupNode(node)) {
+    return useHeight ? node.height() : node.width();
+  }
+  return useHeight ? node.boundingBox().h : node.boundingBox().w;
+}
+
+/**
+ * Re-spaces the ranks of each group level of a dagre layout so that expanded groups do not overlap,
+ * using the rank direction and separations of the level, see getLevelLayoutOptions.
+ *
+ * @param {Object} cy - The Cytoscape instance laid out by dagre.
+ */
 function adjustDagreLayoutWithSeparation(cy) {
   const elementUtilities = require("./elementUtilities")(cy);
   const nodesByGroupLevels = getNodesByGroupLevels(cy);
-  const customLayout =
-    cy.scratch("_cyExpandCollapse")?.tempOptions?.customLayout;
-  const originalRankDir =
-    cy.scratch("_cyExpandCollapse")?.tempOptions?.groupLayoutBy?.rankDir;
-  const originalNodeSep =
-    cy.scratch("_cyExpandCollapse")?.tempOptions?.groupLayoutBy?.nodeSep;
-  const originalRankSep =
-    cy.scratch("_cyExpandCollapse")?.tempOptions?.groupLayoutBy?.rankSep;
-  let rankDir = originalRankDir;
-  let nodeSep = originalNodeSep;
-  let rankSep = originalRankSep;
+  const tempOptions = cy.scratch("_cyExpandCollapse")?.tempOptions;
+  const customLayout = tempOptions?.customLayout;
+  const layoutByLevel = tempOptions?.layoutByLevel;
+  const originalRankDir = tempOptions?.groupLayoutBy?.rankDir;
+  const originalNodeSep = tempOptions?.groupLayoutBy?.nodeSep;
+  const originalRankSep = tempOptions?.groupLayoutBy?.rankSep;
 
   const levelMaps = [];
+  const levelLayoutOptions = [];
   for (let i = 0; i < nodesByGroupLevels.length; i++) {
     levelMaps[i] = []; // Initialize the inner array for each level
+    levelLayoutOptions[i] = [];
     for (let j = 0; j < nodesByGroupLevels[i].items.length; j++) {
       const nodes = nodesByGroupLevels[i].items[j];
       const groupLevel = nodesByGroupLevels[i].level;
 
-      if (customLayout && groupLevel === 3) {
-        rankDir === "TB" ? "LR" : "TB";
-      } else {
-        rankDir = originalRankDir;
-      }
-      // Group the nodes by their original coordinate (y for TB, x for LR)
+      levelLayoutOptions[i][j] = getLevelLayoutOptions(
+        layoutByLevel,
+        customLayout,
+        groupLevel,
+        getGroupLevelParent(nodes)
+      );
+      const { isVertical } = getRankDirection(
+        levelLayoutOptions[i][j].rankDir ?? originalRankDir
+      );
+
+      // Group the nodes by their original coordinate (y for TB and BT, x for LR and RL)
       const coordMap = new Map();
       nodes.forEach((node) => {
-        const coord =
-          rankDir === "TB" ? node.position("y") : node.position("x");
+        const coord = isVertical ? node.position("y") : node.position("x");
         if (!coordMap.has(coord)) {
           coordMap.set(coord, []);
         }
@@ -560,46 +645,33 @@ function adjustDagreLayoutWithSeparation(cy) {
 
   for (let i = 0; i < nodesByGroupLevels.length; i++) {
     for (let j = 0; j < nodesByGroupLevels[i].items.length; j++) {
-      const groupLevel = nodesByGroupLevels[i].level;
-
-      if (customLayout && groupLevel === 3) {
-        rankDir === "TB" ? "LR" : "TB";
-        nodeSep = 10;
-        rankSep = 10;
-      } else {
-        rankDir = originalRankDir;
-        nodeSep = originalNodeSep;
-        rankSep = originalRankSep;
-      }
+      const { isVertical, sign } = getRankDirection(
+        levelLayoutOptions[i][j].rankDir ?? originalRankDir
+      );
+      const nodeSep = levelLayoutOptions[i][j].nodeSep ?? originalNodeSep;
+      const rankSep = levelLayoutOptions[i][j].rankSep ?? originalRankSep;
       const coordMap = levelMaps[i][j];
 
-      // Convert to sorted array of levels (rows or columns)
+      // Convert to an array of levels (rows or columns) sorted in rank order, which is mirrored for BT and RL
       const sortedLevels = Array.from(coordMap.entries()).sort(
-        (a, b) => a[0] - b[0]
+        (a, b) => (a[0] - b[0]) * sign
       );
 
       // Adjust positioning for each level
       sortedLevels.forEach((currentLevelData, levelIndex) => {
         const currentLevelNodes = currentLevelData[1];
 
-        // Calculate total dimension needed for this level (width for TB, height for LR)
-        const totalDimension = currentLevelNodes.reduce((sum, node) => {
-          const nodeDimension =
-            node.data().type !== "group"
-              ? rankDir === "TB"
-                ? node.width()
-                : node.height()
-              : rankDir === "TB"
-              ? node.boundingBox().w
-              : node.boundingBox().h;
-          return sum + nodeDimension;
-        }, 0);
+        // Calculate total dimension needed for this level (width for TB and BT, height for LR and RL)
+        const totalDimension = currentLevelNodes.reduce(
+          (sum, node) => sum + getNodeRankSize(node, isVertical, false),
+          0
+        );
         const totalSeparation = (currentLevelNodes.length - 1) * nodeSep;
 
         // Starting position to center the level
         let currentStartCoord = -((totalDimension + totalSeparation) / 2);
 
-        // Determine main coordinate (y for TB, x for LR)
+        // Determine main coordinate (y for TB and BT, x for LR and RL)
         let currentMainCoord;
         if (levelIndex === 0) {
           // For first level, use original coordinate
@@ -611,54 +683,31 @@ function adjustDagreLayoutWithSeparation(cy) {
           // Calculate max end of previous level
           const maxPrevLevelEnd = Math.max(
             ...prevLevelNodes.map(
-              (node) =>
-                (node.data().type !== "group"
-                  ? rankDir === "TB"
-                    ? node.height()
-                    : node.width()
-                  : rankDir === "TB"
-                  ? node.boundingBox().h
-                  : node.boundingBox().w) / 2
+              (node) => getNodeRankSize(node, isVertical, true) / 2
             )
           );
 
           // Calculate max start of current level
           const maxCurrentLevelStart = Math.max(
             ...currentLevelNodes.map(
-              (node) =>
-                (node.data().type !== "group"
-                  ? rankDir === "TB"
-                    ? node.height()
-                    : node.width()
-                  : rankDir === "TB"
-                  ? node.boundingBox().h
-                  : node.boundingBox().w) / 2
+              (node) => getNodeRankSize(node, isVertical, true) / 2
             )
           );
 
-          // Calculate current level's new main coordinate
+          // Calculate current level's new main coordinate, moving backwards for BT and RL
           currentMainCoord =
-            (rankDir === "TB"
+            (isVertical
               ? prevLevelNodes[0].position("y")
               : prevLevelNodes[0].position("x")) +
-            maxPrevLevelEnd +
-            rankSep +
-            maxCurrentLevelStart;
+            sign * (maxPrevLevelEnd + rankSep + maxCurrentLevelStart);
         }
 
         // Position nodes in the current level
         currentLevelNodes.forEach((node) => {
-          const nodeDimension =
-            node.data().type !== "group"
-              ? rankDir === "TB"
-                ? node.width()
-                : node.height()
-              : rankDir === "TB"
-              ? node.boundingBox().w
-              : node.boundingBox().h;
+          const nodeDimension = getNodeRankSize(node, isVertical, false);
 
           const newPosition = {};
-          if (rankDir === "TB") {
+          if (isVertical) {
             newPosition.x = currentStartCoord + nodeDimension / 2;
             newPosition.y = currentMainCoord;
           } else {
@@ -666,7 +715,7 @@ function adjustDagreLayoutWithSeparation(cy) {
             newPosition.y = currentStartCoord + nodeDimension / 2;
           }
 
-          if (node.data("type") === "group" && node.isParent()) {
+          if (isGroupNode(node) && node.isParent()) {
             const oldPosition = node.position();
             elementUtilities.moveCompoundNode(node, oldPosition, newPosition);
           } else {
@@ -0,0 +1,83 @@
+// Type of the nodes temporarily added to the support instance in place of expanded groups
+const POSITIONING_SUPPORT_TYPE = "positioning-support";
+
+/**
+ * Calls the node type predicate with the given name from the extension options of the node's instance,
+ * falling back to comparing the `type` data field with the given default type.
+ *
+ * @param {Object} node - The node to check.
+ * @param {string} optionName - The name of the predicate option.
+ * @param {string} defaultType - The `type` data value matched when the option is not set.
+ * @returns {boolean} The result of the predicate.
+ */
+function checkNodeType(node, optionName, defaultType) {
+  if (isPositioningSupportNode(node)) {
+    return false;
+  }
+  const predicate = node.cy().scratch("_cyExpandCollapse")?.options?.[
+    optionName
+  ];
+  if (typeof predicate === "function") {
+    return !!predicate(node);
+  }
+  return node.data("type") === defaultType;
+}
+
+/**
+ * Checks whether the given node is a group node, using the `isGroupNode` option if provided.
+ *
+ * @param {Object} node - The node to check.
+ * @returns {boolean} True if the node is a group node.
+ */
+function isGroupNode(node) {
+  return checkNodeType(node, "isGroupNode", "group");
+}
+
+/**
+ * Checks whether the given node is a cluster node, using the `isClusterNode` option if provided.
+ *
+ * @param {Object} node - The node to check.
+ * @returns {boolean} True if the node is a cluster node.
+ */
+function isClusterNode(node) {
+  return checkNodeType(node, "isClusterNode", "cluster");
+}
+
+/**
+ * Checks whether the given node is a leaf node counted in clusters, using the `isLeafNode` option if provided.
+ *
+ * @param {Object} node - The node to check.
+ * @returns {boolean} True if the node is a leaf node.
+ */
+function isLeafNode(node) {
+  return checkNodeType(node, "isLeafNode", "default");
+}
+
+/**
+ * Checks whether the given node is a positioning support node added while resolving compound nodes overlap.
+ *
+ * @param {Object} node - The node to check.
+ * @returns {boolean} True if the node is a positioning support node.
+ */
+function isPositioningSupportNode(node) {
+  return node.data("type") === POSITIONING_SUPPORT_TYPE;
+}
+
+/**
+ * Checks whether the given instance has at least one group node.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ * @returns {boolean} True if any node of the instance is a group node.
+ */
+function hasGroupNodes(cy) {
+  return cy.nodes().some((node) => isGroupNode(node));
+}
+
+module.exports = {
+  POSITIONING_SUPPORT_TYPE,
+  isGroupNode,
+  isClusterNode,
+  isLeafNode,
+  isPositioningSupportNode,
+  hasGroupNodes,
+};
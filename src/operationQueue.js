@@ -0,0 +1,127 @@
+// Serializes the expand/collapse operations of a cytoscape instance
+function operationQueue(cy) {
+  var pending = []; // operations waiting for their turn
+  var running = null; // the operation being performed
+  var lastId = 0; // id of the last enqueued operation
+  var nested = 0; // number of callbacks the running operation is waiting for
+
+  // notify the listeners of the current state of the queue
+  function notify() {
+    cy.trigger("expandcollapse.queuechange", [
+      {
+        busy: running !== null || pending.length > 0,
+        running: running ? running.name : null,
+        pending: pending.map(function (operation) {
+          return operation.name;
+        }),
+      },
+    ]);
+  }
+
+  // perform the next pending operation if the queue is idle
+  // the operation starts synchronously so callers relying on its synchronous part keep working
+  function runNext() {
+    if (running || pending.length === 0) {
+      return;
+    }
+
+    var operation = (running = pending.shift());
+    notify();
+
+    var promise;
+    try {
+      promise = Promise.resolve(operation.fn(operation.id));
+    } catch (e) {
+      promise = Promise.reject(e);
+    }
+
+    promise.then(operation.resolve, operation.reject).then(function () {
+      running = null;
+      notify();
+      runNext();
+    });
+  }
+
+  return {
+    /*
+     * Adds an operation to the queue and returns a promise of its result.
+     * fn is called with the id of the operation, unique for the queue.
+     * If supersede is truthy pending operations are cancelled first.
+     */
+    enqueue: function (name, fn, supersede) {
+      // an operation enqueued by a callback the running operation waits for is performed at once,
+      // waiting for the running operation would deadlock
+      if (this.isNested()) {
+        try {
+          return Promise.resolve(fn(running.id));
+        } catch (e) {
+          return Promise.reject(e);
+        }
+      }
+
+      if (supersede) {
+        this.cancelPending();
+      }
+
+      return new Promise(function (resolve, reject) {
+        pending.push({
+          id: ++lastId,
+          name: name,
+          fn: fn,
+          resolve: resolve,
+          reject: reject,
+        });
+        if (running) {
+          notify();
+        }
+        runNext();
+      });
+    },
+    /*
+     * Cancels the pending operations, the running one is always completed.
+     * Cancelled operations resolve to undefined without being performed. Returns the number of cancelled operations.
+     */
+    cancelPending: function () {
+      var cancelled = pending;
+      pending = [];
+      cancelled.forEach(function (operation) {
+        operation.resolve(undefined);
+      });
+      if (cancelled.length) {
+        notify();
+      }
+      return cancelled.length;
+    },
+    // returns whether an operation is running or pending
+    isBusy: function () {
+      return running !== null || pending.length > 0;
+    },
+    /*
+     * Calls fn, a callback the running operation waits for, and returns its result.
+     * Operations enqueued until it returns, or until its promise settles, are part of the running operation.
+     */
+    runNested: function (fn) {
+      nested++;
+      var result;
+      try {
+        result = fn();
+      } catch (e) {
+        nested--;
+        throw e;
+      }
+      if (typeof result?.then !== "function") {
+        nested--;
+        return result;
+      }
+      return Promise.resolve(result).finally(function () {
+        nested--;
+      });
+    },
+    // returns whether an operation is running and waiting for a callback given to runNested
+    isNested: function () {
+      return running !== null && nested > 0;
+    },
+  };
+}
+
+module.exports = operationQueue;
@@ -0,0 +1,13 @@
+/**
+ * Triggers the expandcollapse.error event for an operation that failed while nobody awaits it,
+ * e.g. one started by tapping a cue, by undo/redo or by the semantic zoom.
+ *
+ * @param {Object} cy - The Cytoscape instance.
+ * @param {string} name - The name of the failed operation.
+ * @param {Error} error - The error the operation was rejected with.
+ */
+function reportError(cy, name, error) {
+  cy.trigger("expandcollapse.error", [{ name: name, error: error }]);
+}
+
+module.exports = reportError;
@@ -76,6 +76,7 @@ function saveLoadUtilities(cy, api) {
    */
   function clearCollapseMetaData(e) {
     e.data("collapsedChildren", null);
+    e.data("unloadedChildren", null);
     e.removeClass("cy-expand-collapse-collapsed-node");
     e.data("position-before-collapse", null);
     e.data("size-before-collapse", null);
@@ -100,6 +101,7 @@ function saveLoadUtilities(cy, api) {
         );
         jsonObj = elem.cy.json();
         jsonObj.data.collapsedChildren = elem.collapsedChildren;
+        delete jsonObj.data.unloadedChildren; // saved as collapsed children
       } else if (elem.collapsedEdges) {
         elem.collapsedEdges = cyCollection2Json(
           halfDeepCopyCollection(elem.collapsedEdges)
@@ -127,17 +129,33 @@ function saveLoadUtilities(cy, api) {
     return r;
   }
 
+  /** replaces the meta-edge bundles in a collection by the edges they merged, bundles are made again on collapse
+   * @param  {} col a cytoscape.js collection
+   */
+  function unbundleMetaEdges(col) {
+    let r = cy.collection();
+    for (let i = 0; i < col.length; i++) {
+      if (col[i].hasClass("cy-expand-collapse-meta-edge-bundle")) {
+        r = r.union(unbundleMetaEdges(col[i].data("bundledEdges")));
+      } else {
+        r = r.union(col[i]);
+      }
+    }
+    return r;
+  }
+
   /** returns { cy: any, collapsedEdges: any, collapsedChildren: any, originalEnds: any }[]
    * from cytoscape collection
    * @param  {} col
    */
   function halfDeepCopyCollection(col) {
+    col = unbundleMetaEdges(col);
     let arr = [];
     for (let i = 0; i < col.length; i++) {
       arr.push({
         cy: col[i],
         collapsedEdges: col[i].data("collapsedEdges"),
-        collapsedChildren: col[i].data("collapsedChildren"),
+        collapsedChildren: api.getCollapsedChildren(col[i]),
         originalEnds: col[i].data("originalEnds"),
       });
     }
@@ -309,6 +327,7 @@ function saveLoadUtilities(cy, api) {
         }
         const jsonObj = n.cy.json();
         jsonObj.data.collapsedChildren = n.collapsedChildren;
+        delete jsonObj.data.unloadedChildren; // saved as collapsed children
         o.nodes.push(jsonObj);
       }
 
@@ -0,0 +1,139 @@
+var debounce = require("./debounce");
+var reportError = require("./reportError");
+
+// Collapses and expands group nodes automatically as the zoom level crosses their thresholds
+// or as they fill or leave the viewport
+function semanticZoomUtilities(cy, api) {
+  var elementUtilities = require("./elementUtilities")(cy);
+
+  var getOptions = function () {
+    return cy.scratch("_cyExpandCollapse").options;
+  };
+
+  return {
+    /*
+     * Returns the zoom level below which the given node, on the given group level, is to be collapsed.
+     * Nodes without a threshold are left as they are.
+     */
+    getThreshold: function (node, level) {
+      var thresholds = getOptions().semanticZoomThresholds;
+      if (typeof thresholds === "function") {
+        return thresholds(node, level);
+      }
+      return thresholds?.[level];
+    },
+    /*
+     * Returns the rendered box of the given node when expanded. Collapsed nodes are measured with the size
+     * they had before collapse.
+     */
+    getExpandedRenderedBox: function (node) {
+      var size = api.isExpandable(node)
+        ? node.data("size-before-collapse")
+        : { w: node.outerWidth(), h: node.outerHeight() };
+      if (!size) {
+        return null;
+      }
+
+      var topLeft = elementUtilities.convertToRenderedPosition({
+        x: node.position("x") - size.w / 2,
+        y: node.position("y") - size.h / 2,
+      });
+      var bottomRight = elementUtilities.convertToRenderedPosition({
+        x: node.position("x") + size.w / 2,
+        y: node.position("y") + size.h / 2,
+      });
+      return {
+        x1: topLeft.x,
+        y1: topLeft.y,
+        x2: bottomRight.x,
+        y2: bottomRight.y,
+      };
+    },
+    // returns whether the given rendered box covers more than the viewportExpandRatio of the viewport
+    isCoveringViewport: function (box) {
+      var width = cy.width();
+      var height = cy.height();
+      if (width * height === 0) {
+        return false;
+      }
+
+      var coveredWidth = Math.max(
+        0,
+        Math.min(box.x2, width) - Math.max(box.x1, 0)
+      );
+      var coveredHeight = Math.max(
+        0,
+        Math.min(box.y2, height) - Math.max(box.y1, 0)
+      );
+      return (
+        coveredWidth * coveredHeight >
+        getOptions().viewportExpandRatio * width * height
+      );
+    },
+    // returns whether the given rendered box is smaller on screen than the viewportCollapseSize
+    isTooSmallOnScreen: function (box) {
+      return (
+        Math.max(box.x2 - box.x1, box.y2 - box.y1) <
+        getOptions().viewportCollapseSize
+      );
+    },
+    // returns whether the given node is pinned, pinned nodes are never collapsed or expanded automatically
+    isPinned: function (node) {
+      return node.hasClass("cy-expand-collapse-pinned");
+    },
+    /*
+     * Returns whether the given group node, on the given group level, is to be collapsed (or expanded) automatically.
+     * The viewport policy takes precedence over the zoom thresholds.
+     */
+    isToBeChanged: function (node, level, toCollapse) {
+      var options = getOptions();
+      if (this.isPinned(node)) {
+        return false;
+      }
+
+      var box = options.viewportPolicy && this.getExpandedRenderedBox(node);
+      if (box) {
+        if (this.isCoveringViewport(box)) {
+          return !toCollapse;
+        }
+        if (this.isTooSmallOnScreen(box)) {
+          return toCollapse;
+        }
+      }
+
+      var threshold = options.semanticZoom
+        ? this.getThreshold(node, level)
+        : undefined;
+      return threshold != null && cy.zoom() < threshold === toCollapse;
+    },
+    // applies the semantic zoom and the viewport policy, debounced by the given delay, whenever the viewport changes
+    bind: function (delay = getOptions().semanticZoomDelay) {
+      this.unbind();
+
+      var eViewport = debounce(function () {
+        var options = getOptions();
+        if (
+          !cy.destroyed() &&
+          (options.semanticZoom || options.viewportPolicy)
+        ) {
+          // vetoed nodes are left as they are until the next viewport change, failures are reported as events
+          api.applySemanticZoom().catch(function (error) {
+            reportError(cy, "applySemanticZoom", error);
+          });
+        }
+      }, delay);
+
+      cy.on("pan zoom", eViewport);
+      cy.scratch("_cyExpandCollapse").semanticZoomHandler = eViewport;
+    },
+    unbind: function () {
+      var eViewport = cy.scratch("_cyExpandCollapse")?.semanticZoomHandler;
+      if (eViewport) {
+        eViewport.cancel();
+        cy.off("pan zoom", eViewport);
+      }
+    },
+  };
+}
+
+module.exports = semanticZoomUtilities;
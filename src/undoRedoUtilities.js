@@ -1,3 +1,5 @@
+var reportError = require("./reportError");
+
 module.exports = function (cy, api) {
   if (cy.undoRedo == null) return;
 
@@ -54,25 +56,84 @@ module.exports = function (cy, api) {
     return function (args) {
       var result = {};
       var nodes = getEles(args.nodes);
+      var operation;
+      // the nodes are replaced by the nodes that changed state once the operation resolves
+      result.nodes = nodes ?? cy.collection();
       if (args.firstTime) {
         result.oldData = getNodePositions();
-        result.nodes =
+        operation =
           func.indexOf("All") > 0
             ? api[func](args.options)
             : api[func](nodes, args.options);
       } else {
         result.oldData = getNodePositions();
-        result.nodes =
+        operation =
           func.indexOf("All") > 0
             ? api[func](secondTimeOpts)
             : api[func](cy.collection(nodes), secondTimeOpts);
-        returnToPositions(args.oldData);
       }
 
+      // a failed operation keeps the given nodes so that the undo stack stays consistent
+      Promise.resolve(operation)
+        .then(function (operationResult) {
+          if (operationResult) {
+            result.nodes = operationResult.nodes;
+          }
+          if (!args.firstTime) {
+            returnToPositions(args.oldData);
+          }
+        })
+        .catch(function (error) {
+          reportError(cy, func, error);
+        });
+
       return result;
     };
   }
 
+  // level operations are redone by expanding or collapsing the nodes they changed
+  function doLevelOperation(func) {
+    return function (args) {
+      if (!args.firstTime) {
+        return doIt(func === "collapseBelowLevel" ? "collapse" : "expand")(
+          args
+        );
+      }
+
+      var result = {};
+      result.oldData = getNodePositions();
+      result.nodes = cy.collection();
+      var operation =
+        func === "expandDepth"
+          ? api.expandDepth(args.nodes, args.depth, args.options)
+          : api[func](args.level, args.options);
+
+      Promise.resolve(operation)
+        .then(function (operationResult) {
+          if (operationResult) {
+            result.nodes = operationResult.nodes;
+          }
+        })
+        .catch(function (error) {
+          reportError(cy, func, error);
+        });
+
+      return result;
+    };
+  }
+
+  ur.action(
+    "expandToLevel",
+    doLevelOperation("expandToLevel"),
+    doIt("collapse")
+  );
+  ur.action(
+    "collapseBelowLevel",
+    doLevelOperation("collapseBelowLevel"),
+    doIt("expand")
+  );
+  ur.action("expandDepth", doLevelOperation("expandDepth"), doIt("collapse"));
+
   var actions = [
     "collapse",
     "collapseRecursively",